@@ -0,0 +1,54 @@
+// The Express app without a listener, so tests can mount it (index.js starts the server)
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+require('dotenv').config();
+
+const issueRoutes = require('./routes/issueRoutes');
+const wardRoutes = require('./routes/wardRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
+const workOrderRoutes = require('./routes/workOrderRoutes');
+const moderationRoutes = require('./routes/moderationRoutes');
+const openDataRoutes = require('./routes/openDataRoutes');
+const { errorEnvelope, notFoundHandler, errorHandler } = require('./middlewares/errors');
+
+const app = express();
+
+// Behind a reverse proxy, rate limits need the client address from X-Forwarded-For
+// (e.g. TRUST_PROXY=1 for one proxy hop)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// Middlewares
+app.use(helmet()); // Security headers
+app.use(cors()); // Enable CORS
+app.use(morgan('dev')); // Logging
+app.use(errorEnvelope); // Consistent error bodies, no database messages in server errors
+app.use('/wards', express.json({ limit: '5mb' })); // Ward GeoJSON uploads can be large
+app.use(express.json()); // Parse JSON bodies
+
+// Health Check
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date() });
+});
+
+// Routes
+app.use('/issues', issueRoutes); // General/Road/Head routes
+app.use('/wards', wardRoutes); // Ward boundaries
+app.use('/analytics', analyticsRoutes); // Head authority reporting
+app.use('/notifications', notificationRoutes); // In-app notifications and preferences
+app.use('/uploads', uploadRoutes); // Image uploads
+app.use('/work-orders', workOrderRoutes); // Crew work orders
+app.use('/moderation', moderationRoutes); // Abuse flags and reporter suspensions
+app.use('/open-data', openDataRoutes); // Public GeoJSON and Open311 feeds
+
+// Unknown routes, then the central error handler (every error body is { error, code, details? })
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+module.exports = app;
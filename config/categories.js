@@ -0,0 +1,64 @@
+const { DEPARTMENTS } = require('./departments');
+
+/**
+ * Issue categories shared by AI classification, request validation and the UI.
+ * To add a category, add an entry here: the Gemini prompt, the keyword classifier
+ * and the issue_type -> department mapping all read from this list.
+ *
+ * - id: stored in issues.issue_type
+ * - department: queue the issue is routed to
+ * - description: what the category covers (shown to the model and the UI)
+ * - keywords: used by the offline keyword classifier
+ */
+const CATEGORIES = [
+  {
+    id: 'pothole',
+    label: 'Pothole',
+    department: 'road',
+    description: 'Depressions or holes in the road surface.',
+    keywords: ['pothole', 'hole', 'crater', 'road damage', 'broken road', 'asphalt', 'tarmac', 'cracked road']
+  },
+  {
+    id: 'garbage',
+    label: 'Garbage',
+    department: 'garbage',
+    description: 'Waste, litter, or refuse in public areas.',
+    keywords: ['garbage', 'trash', 'litter', 'waste', 'rubbish', 'dump', 'overflowing bin', 'refuse']
+  },
+  {
+    id: 'damagestreetlight',
+    label: 'Damaged streetlight',
+    department: 'streetlight',
+    description: 'Broken, flickering, or non-functional streetlights.',
+    keywords: ['streetlight', 'street light', 'lamp', 'lamppost', 'light pole', 'flickering', 'dark street']
+  },
+  {
+    id: 'waterlog',
+    label: 'Waterlogging',
+    department: 'drainage',
+    description: 'Standing water, flooding, or blocked drainage.',
+    keywords: ['waterlog', 'flood', 'standing water', 'drain', 'drainage', 'sewer', 'clogged', 'puddle']
+  },
+  {
+    id: 'other',
+    label: 'Other',
+    department: 'head',
+    description: 'Use this ONLY if the issue clearly does not fit any of the other categories.',
+    keywords: []
+  }
+];
+
+const FALLBACK_ISSUE_TYPE = 'other';
+
+const ISSUE_TYPES = CATEGORIES.map((category) => category.id);
+
+const ISSUE_TYPE_TO_DEPARTMENT = Object.fromEntries(
+  CATEGORIES.map((category) => [category.id, category.department])
+);
+
+const unknownDepartment = CATEGORIES.find((category) => !DEPARTMENTS.includes(category.department));
+if (unknownDepartment) {
+  throw new Error(`Category '${unknownDepartment.id}' maps to unknown department '${unknownDepartment.department}'`);
+}
+
+module.exports = { CATEGORIES, FALLBACK_ISSUE_TYPE, ISSUE_TYPES, ISSUE_TYPE_TO_DEPARTMENT };
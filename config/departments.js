@@ -0,0 +1,5 @@
+// Departments an issue can be routed to. "head" is the head authority's own queue
+// for issues that do not belong to any specific department.
+const DEPARTMENTS = ['road', 'garbage', 'drainage', 'streetlight', 'head'];
+
+module.exports = { DEPARTMENTS };
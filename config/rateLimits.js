@@ -0,0 +1,56 @@
+// Request budgets per limiter, as "<max>/<window>" with the window in s, m, h or d.
+// user limits count per signed-in user (per IP for anonymous callers), ip limits per client IP
+// regardless of account. Each can be overridden from the environment, e.g.
+//   RATE_LIMIT_REPORT=5/10m  RATE_LIMIT_REPORT_IP=20/10m
+const DEFAULT_BUDGETS = {
+  // POST /issues
+  report: { user: '5/10m', ip: '20/10m' },
+  // Endpoints that call the paid AI provider (reporting, reclassification)
+  ai: { user: '20/1h', ip: '60/1h' },
+  // Public listings, map and detail pages
+  read: { user: '120/1m', ip: '300/1m' },
+  upload: { user: '20/10m', ip: '60/10m' },
+  // Full exports and open-data dumps read the whole issues table
+  export: { user: '10/1h', ip: '30/1h' },
+  'open-data': { user: '30/1h', ip: '60/1h' },
+  vote: { user: '30/1m' },
+  comment: { user: '10/10m' },
+  'comment-edit': { user: '20/10m' },
+  follow: { user: '30/1m' }
+};
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parses "<max>/<window>", e.g. "5/10m".
+ * @returns {{ max: number, windowMs: number }}
+ */
+const parseLimit = (spec) => {
+  const match = /^(\d+)\/(\d*)([smhd])$/.exec(String(spec).trim());
+  if (!match || Number(match[1]) < 1) {
+    throw new Error(`Invalid rate limit '${spec}', expected e.g. 5/10m`);
+  }
+  return { max: Number(match[1]), windowMs: Number(match[2] || 1) * UNIT_MS[match[3]] };
+};
+
+const envName = (name, suffix = '') => `RATE_LIMIT_${name.toUpperCase().replace(/-/g, '_')}${suffix}`;
+
+/**
+ * The effective limits of a budget, with environment overrides applied.
+ * @returns {{ name: string, user: { max, windowMs }|null, ip: { max, windowMs }|null }}
+ */
+const getBudget = (name) => {
+  const defaults = DEFAULT_BUDGETS[name];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit budget '${name}'`);
+  }
+  const user = process.env[envName(name)] || defaults.user;
+  const ip = process.env[envName(name, '_IP')] || defaults.ip;
+  return {
+    name,
+    user: user ? parseLimit(user) : null,
+    ip: ip ? parseLimit(ip) : null
+  };
+};
+
+module.exports = { DEFAULT_BUDGETS, parseLimit, getBudget };
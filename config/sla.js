@@ -0,0 +1,38 @@
+require('dotenv').config();
+
+// Hours allowed from report to resolution. An issue_type target wins over its department's.
+const DEFAULT_SLA_HOURS = 7 * 24;
+
+const SLA_HOURS_BY_ISSUE_TYPE = {
+  pothole: 7 * 24,
+  garbage: 2 * 24,
+  damagestreetlight: 3 * 24,
+  waterlog: 2 * 24
+};
+
+const SLA_HOURS_BY_DEPARTMENT = {
+  road: 7 * 24,
+  garbage: 2 * 24,
+  drainage: 2 * 24,
+  streetlight: 3 * 24,
+  head: 7 * 24
+};
+
+// Optional overrides, e.g. SLA_TARGETS='{"issue_type":{"pothole":120},"department":{"road":144}}'
+const parseOverrides = () => {
+  if (!process.env.SLA_TARGETS) return {};
+  try {
+    return JSON.parse(process.env.SLA_TARGETS);
+  } catch (error) {
+    console.error('CRITICAL: SLA_TARGETS is not valid JSON, using default SLA targets');
+    return {};
+  }
+};
+
+const overrides = parseOverrides();
+
+module.exports = {
+  DEFAULT_SLA_HOURS,
+  SLA_HOURS_BY_ISSUE_TYPE: { ...SLA_HOURS_BY_ISSUE_TYPE, ...overrides.issue_type },
+  SLA_HOURS_BY_DEPARTMENT: { ...SLA_HOURS_BY_DEPARTMENT, ...overrides.department }
+};
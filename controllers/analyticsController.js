@@ -0,0 +1,140 @@
+const { parseListQuery } = require('../services/issueQuery');
+const { sendCsv } = require('../services/csv');
+const {
+  BACKLOG_BUCKETS,
+  RESPONSE_TIME_COLUMNS,
+  TREND_INTERVALS,
+  OVERRIDE_RATE_COLUMNS,
+  loadIssues,
+  loadFirstTransitions,
+  loadClassificationReviews,
+  summarize,
+  responseTimes,
+  backlogAgeing,
+  trends,
+  overrideRates
+} = require('../services/analytics');
+
+const wantsCsv = (req) => req.query.format === 'csv';
+
+const handleError = (res, error, message) => {
+  console.error(`Analytics Error: ${message}`, error);
+  res.status(error.status || 500).json({ 
+    error: error.status ? error.message : message 
+  });
+};
+
+/**
+ * GET /analytics/summary
+ * Role: head_authority
+ * Query: listing filters (from, to, department, ward_id, ...), format=csv
+ */
+exports.getSummary = async (req, res) => {
+  try {
+    const { filters } = parseListQuery(req.query);
+    const summary = summarize(await loadIssues(filters));
+
+    if (wantsCsv(req)) {
+      const rows = ['by_status', 'by_issue_type', 'by_department', 'by_ward'].flatMap((dimension) => (
+        Object.entries(summary[dimension]).map(([value, count]) => ({
+          dimension: dimension.replace('by_', ''),
+          value,
+          count
+        }))
+      ));
+      return sendCsv(res, 'issue-summary.csv', rows, ['dimension', 'value', 'count']);
+    }
+
+    res.json(summary);
+  } catch (error) {
+    handleError(res, error, 'Failed to build summary');
+  }
+};
+
+/**
+ * GET /analytics/response-times
+ * Role: head_authority
+ * Median and p90 time-to-acknowledge and time-to-resolve per department, in hours.
+ */
+exports.getResponseTimes = async (req, res) => {
+  try {
+    const { filters } = parseListQuery(req.query);
+    const issues = await loadIssues(filters);
+    const firstTransitions = await loadFirstTransitions(issues.map((issue) => issue.id));
+    const rows = responseTimes(issues, firstTransitions);
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, 'response-times.csv', rows, RESPONSE_TIME_COLUMNS);
+    }
+
+    res.json(rows);
+  } catch (error) {
+    handleError(res, error, 'Failed to compute response times');
+  }
+};
+
+/**
+ * GET /analytics/backlog
+ * Role: head_authority
+ * Open issues per department grouped into ageing buckets.
+ */
+exports.getBacklog = async (req, res) => {
+  try {
+    const { filters } = parseListQuery(req.query);
+    const rows = backlogAgeing(await loadIssues(filters));
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, 'backlog-ageing.csv', rows, ['department', ...BACKLOG_BUCKETS.map((b) => b.label), 'total']);
+    }
+
+    res.json({ buckets: BACKLOG_BUCKETS.map((b) => b.label), departments: rows });
+  } catch (error) {
+    handleError(res, error, 'Failed to compute backlog');
+  }
+};
+
+/**
+ * GET /analytics/trends
+ * Role: head_authority
+ * Query: interval=day|week|month (default day), plus listing filters
+ */
+exports.getTrends = async (req, res) => {
+  try {
+    const interval = req.query.interval || 'day';
+    if (!TREND_INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `Invalid interval. Must be one of: ${TREND_INTERVALS.join(', ')}` });
+    }
+
+    const { filters } = parseListQuery(req.query);
+    const rows = trends(await loadIssues(filters), interval);
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, `trends-${interval}.csv`, rows, ['period', 'created', 'resolved']);
+    }
+
+    res.json({ interval, periods: rows });
+  } catch (error) {
+    handleError(res, error, 'Failed to compute trends');
+  }
+};
+
+/**
+ * GET /analytics/classification
+ * Role: head_authority
+ * Review outcomes and override rate per AI category.
+ * Query: from, to, format=csv
+ */
+exports.getClassificationReviews = async (req, res) => {
+  try {
+    const { filters } = parseListQuery(req.query);
+    const rows = overrideRates(await loadClassificationReviews(filters));
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, 'classification-overrides.csv', rows, OVERRIDE_RATE_COLUMNS);
+    }
+
+    res.json(rows);
+  } catch (error) {
+    handleError(res, error, 'Failed to compute classification override rates');
+  }
+};
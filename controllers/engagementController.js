@@ -0,0 +1,284 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { notifyComment } = require('../services/notifications');
+const {
+  DEFAULT_COMMENT_LIMIT,
+  refreshVoteCount,
+  refreshCommentCount,
+  listComments
+} = require('../services/engagement');
+
+const findIssue = async (id) => {
+  const { data: issue, error } = await supabaseAdmin
+    .from('issues')
+    .select('*')
+    .eq('id', id)
+    .is('merged_into', null)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return issue;
+};
+
+const findOwnComment = async (req) => {
+  const { data: comment, error } = await supabaseAdmin
+    .from('issue_comments')
+    .select('*')
+    .eq('id', req.params.commentId)
+    .eq('issue_id', req.params.id)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!comment) {
+    return { status: 404, error: 'Comment not found' };
+  }
+  if (comment.user_id !== req.user.id) {
+    return { status: 403, error: 'Only the author can change this comment' };
+  }
+  return { comment };
+};
+
+/**
+ * POST /issues/:id/vote
+ * Role: citizen
+ * "Me too" on an issue. Voting twice is a no-op.
+ */
+exports.voteIssue = async (req, res) => {
+  try {
+    const issue = await findIssue(req.params.id);
+    if (!issue) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('issue_votes')
+      .upsert([{ issue_id: issue.id, user_id: req.user.id }], { onConflict: 'issue_id,user_id', ignoreDuplicates: true });
+
+    if (error) {
+      throw error;
+    }
+
+    const updatedIssue = await refreshVoteCount(issue.id);
+    res.json({ issue_id: issue.id, voted: true, vote_count: updatedIssue.vote_count });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to vote',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * DELETE /issues/:id/vote
+ * Role: citizen
+ */
+exports.unvoteIssue = async (req, res) => {
+  try {
+    const issue = await findIssue(req.params.id);
+    if (!issue) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('issue_votes')
+      .delete()
+      .eq('issue_id', issue.id)
+      .eq('user_id', req.user.id);
+
+    if (error) {
+      throw error;
+    }
+
+    const updatedIssue = await refreshVoteCount(issue.id);
+    res.json({ issue_id: issue.id, voted: false, vote_count: updatedIssue.vote_count });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to remove vote',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * GET /issues/:id/comments
+ * Role: public
+ * Query: limit (default 50, max 100), after (created_at of the last comment seen)
+ * 404 for deleted and merged issues.
+ */
+exports.getComments = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_COMMENT_LIMIT, 100);
+
+    // Comments go with their issue: none for deleted or merged issues
+    const issue = await findIssue(req.params.id);
+    if (!issue) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    res.json(await listComments(issue.id, { limit, after: req.query.after }));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+};
+
+/**
+ * POST /issues/:id/comments
+ * Role: citizen, head_authority, department_authority (own department only)
+ * Body: { body }. Comments by authorities are marked as official replies.
+ */
+exports.addComment = async (req, res) => {
+  try {
+    const issue = await findIssue(req.params.id);
+    if (!issue) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    const { data: comment, error } = await supabaseAdmin
+      .from('issue_comments')
+      .insert([{
+        issue_id: issue.id,
+        user_id: req.user.id,
+        author_role: req.user.role,
+        is_official: req.user.role !== 'citizen',
+        body: req.body.body
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    await refreshCommentCount(issue.id);
+    notifyComment(issue, comment);
+
+    res.status(201).json(comment);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to add comment',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * PATCH /issues/:id/comments/:commentId
+ * Role: comment author
+ * Body: { body }
+ */
+exports.updateComment = async (req, res) => {
+  try {
+    const { comment, status, error: accessError } = await findOwnComment(req);
+    if (!comment) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const { data: updatedComment, error } = await supabaseAdmin
+      .from('issue_comments')
+      .update({ body: req.body.body, updated_at: new Date().toISOString() })
+      .eq('id', comment.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    res.json(updatedComment);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to update comment',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * DELETE /issues/:id/comments/:commentId
+ * Role: comment author
+ * Comments are soft-deleted and drop out of listings and counts.
+ */
+exports.deleteComment = async (req, res) => {
+  try {
+    const { comment, status, error: accessError } = await findOwnComment(req);
+    if (!comment) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('issue_comments')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('id', comment.id);
+
+    if (error) {
+      throw error;
+    }
+
+    await refreshCommentCount(comment.issue_id);
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to delete comment',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * POST /issues/:id/follow
+ * Role: citizen
+ * Followers get the same notifications as the reporter.
+ */
+exports.followIssue = async (req, res) => {
+  try {
+    const issue = await findIssue(req.params.id);
+    if (!issue) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('issue_follows')
+      .upsert([{ issue_id: issue.id, user_id: req.user.id }], { onConflict: 'issue_id,user_id', ignoreDuplicates: true });
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({ issue_id: issue.id, following: true });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to follow issue',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * DELETE /issues/:id/follow
+ * Role: citizen
+ */
+exports.unfollowIssue = async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('issue_follows')
+      .delete()
+      .eq('issue_id', req.params.id)
+      .eq('user_id', req.user.id);
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({ issue_id: req.params.id, following: false });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to unfollow issue',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
@@ -0,0 +1,184 @@
+const { parseListQuery, parsePublicListQuery } = require('../services/issueQuery');
+const { toPublicIssue } = require('../services/serializers');
+const { toCsvLine } = require('../services/csv');
+const {
+  EXPORT_COLUMNS,
+  forEachIssueBatch,
+  summarizeTimelines,
+  toGeoJsonFeature,
+  toOpen311Request,
+  getOpen311Services
+} = require('../services/issueExport');
+
+// Portals poll the open-data feed; a few minutes of staleness is fine
+const OPEN_DATA_CACHE_CONTROL = 'public, max-age=300';
+
+// Tells Excel the CSV is UTF-8, so non-ASCII descriptions survive
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Resolves once the chunk is written, waiting for the socket to drain when its buffer is full.
+ */
+const writeChunk = (res, chunk) => {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+};
+
+/**
+ * Streams every issue matching the filters as one document, batch by batch, so large
+ * exports never sit in memory. Headers go out with the first batch: a failing first
+ * query still gets a normal error response, a later failure cuts the download short.
+ * @param {Object} format - { contentType, filename?, cacheControl?, head, separator, tail, render }
+ *   where render is async (issues) => string[] (one entry per record)
+ */
+const streamIssues = async (res, filters, format) => {
+  let closed = false;
+  let records = 0;
+  res.on('close', () => { closed = true; });
+
+  const start = () => {
+    if (res.headersSent) return;
+    res.setHeader('Content-Type', format.contentType);
+    if (format.filename) res.setHeader('Content-Disposition', `attachment; filename="${format.filename}"`);
+    if (format.cacheControl) res.setHeader('Cache-Control', format.cacheControl);
+    res.write(format.head);
+  };
+
+  try {
+    await forEachIssueBatch(filters, async (issues) => {
+      const rendered = await format.render(issues);
+      start();
+      const prefix = records > 0 && rendered.length > 0 ? format.separator : '';
+      records += rendered.length;
+      await writeChunk(res, prefix + rendered.join(format.separator));
+      return !closed;
+    });
+  } catch (error) {
+    if (!res.headersSent) throw error;
+    console.error(`Export: Stream failed after ${records} record(s):`, error);
+    return res.destroy(error);
+  }
+
+  if (closed) {
+    console.log(`Export: Client went away after ${records} record(s)`);
+    return;
+  }
+  start();
+  res.end(format.tail);
+  console.log(`Export: Sent ${records} record(s) as ${format.contentType}`);
+};
+
+const csvFormat = (filename, columns, render, { withBom = false } = {}) => ({
+  contentType: 'text/csv; charset=utf-8',
+  filename,
+  head: `${withBom ? UTF8_BOM : ''}${columns.join(',')}\r\n`,
+  separator: '',
+  tail: '',
+  render: async (issues) => (await render(issues)).map((row) => `${toCsvLine(row, columns)}\r\n`)
+});
+
+const geoJsonFormat = (filename, render, cacheControl) => ({
+  contentType: 'application/geo+json; charset=utf-8',
+  filename,
+  cacheControl,
+  head: '{"type":"FeatureCollection","features":[\n',
+  separator: ',\n',
+  tail: '\n]}\n',
+  render: async (issues) => (await render(issues)).map((issue) => JSON.stringify(toGeoJsonFeature(issue)))
+});
+
+/**
+ * Issues with their timeline summary columns, for the head authority export.
+ */
+const withTimelineSummaries = async (issues) => {
+  const summaries = await summarizeTimelines(issues.map((issue) => issue.id));
+  return issues.map((issue) => ({ ...issue, ...summaries.get(issue.id) }));
+};
+
+/**
+ * GET /issues/export
+ * Role: head_authority
+ * Query: format=csv|xlsx|geojson (default csv), plus the listing filters (status, department,
+ *   ward_id, from, to, ...). xlsx is a CSV marked as UTF-8 so Excel opens it cleanly; both
+ *   have formula-like cells defused (see services/csv.js).
+ * Every matching issue with a summary of its timeline, streamed.
+ */
+exports.exportIssues = async (req, res) => {
+  try {
+    const { filters } = parseListQuery(req.query);
+    const format = req.query.format || 'csv';
+    const date = new Date().toISOString().slice(0, 10);
+
+    console.log(`Export: ${format} export by ${req.user.id}`, filters);
+
+    if (format === 'geojson') {
+      return await streamIssues(res, filters, geoJsonFormat(`issues-${date}.geojson`, withTimelineSummaries));
+    }
+    const filename = format === 'xlsx' ? `issues-${date}-excel.csv` : `issues-${date}.csv`;
+    await streamIssues(res, filters, csvFormat(filename, EXPORT_COLUMNS, withTimelineSummaries, { withBom: format === 'xlsx' }));
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to export issues'
+    });
+  }
+};
+
+/**
+ * GET /open-data/issues.geojson
+ * Role: public
+ * Query: the transparency wall filters (status, issue_type, department, ward_id, from, to, ...)
+ * Every public issue as GeoJSON, anonymized like the transparency wall (no reporter,
+ * coarse coordinates), streamed.
+ */
+exports.getOpenDataGeoJson = async (req, res) => {
+  try {
+    const { filters } = parsePublicListQuery(req.query);
+    await streamIssues(res, filters, geoJsonFormat(null, async (issues) => issues.map(toPublicIssue), OPEN_DATA_CACHE_CONTROL));
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to fetch open data'
+    });
+  }
+};
+
+/**
+ * GET /open-data/requests.json
+ * Role: public
+ * Query: the transparency wall filters
+ * Every public issue as an Open311 GeoReport v2 service request, anonymized, streamed.
+ */
+exports.getOpen311Requests = async (req, res) => {
+  try {
+    const { filters } = parsePublicListQuery(req.query);
+    await streamIssues(res, filters, {
+      contentType: 'application/json; charset=utf-8',
+      cacheControl: OPEN_DATA_CACHE_CONTROL,
+      head: '[\n',
+      separator: ',\n',
+      tail: '\n]\n',
+      render: async (issues) => issues.map((issue) => JSON.stringify(toOpen311Request(toPublicIssue(issue))))
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to fetch open data'
+    });
+  }
+};
+
+/**
+ * GET /open-data/services.json
+ * Role: public
+ * Issue categories as an Open311 GeoReport v2 service list.
+ */
+exports.getOpen311Services = (req, res) => {
+  res.set('Cache-Control', OPEN_DATA_CACHE_CONTROL);
+  res.json(getOpen311Services());
+};
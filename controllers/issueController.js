@@ -1,80 +1,100 @@
 const { supabase, supabaseAdmin } = require('../config/supabase');
-const { classifyIssue } = require('../services/gemini');
+const { CATEGORIES } = require('../config/categories');
+const { validateTransition } = require('../services/lifecycle');
+const { parseListQuery, parsePublicListQuery, listIssues } = require('../services/issueQuery');
+const { parseBoundingBox, parseRadius, findIssuesInBox, findIssuesNearby, clusterIssues } = require('../services/issueMap');
+const { WARD_OUTSIDE_POLICY, findWardForPoint } = require('../services/wards');
+const { computeDueAt, reopenedSlaFields, annotateSla } = require('../services/sla');
+const { notifyStatusChange, notifyReassignment } = require('../services/notifications');
+const { resolveImageRef } = require('../services/uploads');
+const { enqueueClassification, requestReclassification } = require('../services/classificationQueue');
+const { resolveReview } = require('../services/review');
+const { enqueueResolutionCheck, clearResolutionCheck } = require('../services/resolutionCheck');
+const { toPublicIssue, toOwnerIssue, serializeIssueFor, canViewIssue } = require('../services/serializers');
+const { listComments } = require('../services/engagement');
+const { DELETED_RETENTION_DAYS, softDeleteIssues, restoreIssue } = require('../services/deletion');
+const { updateIssueWithLog } = require('../services/issueLog');
+const { publishIssueEvent } = require('../services/issueEvents');
+const { buildTimeline } = require('../services/timeline');
+const { statusUpdateFields, bulkUpdateStatus, bulkReassign } = require('../services/bulkActions');
+const { findDuplicateIssue, attachSupportingReport, mergeIssueInto, refreshSupportCount } = require('../services/duplicates');
 
 /**
  * POST /issues
  * Role: citizen
  */
 exports.createIssue = async (req, res) => {
-  console.log('--- CREATE ISSUE REQUEST ---');
-  console.log('User:', req.user ? { id: req.user.id, email: req.user.email, role: req.user.role } : 'No User');
-  console.log('Body:', req.body);
-  
   try {
-    const { image_url, description, location_lat, location_lng, manual_department, manual_issue_type, is_manual_submission } = req.body;
+    const { image_ref, description, location_lat, location_lng, manual_department, manual_issue_type, is_manual_submission } = req.body;
     
-    // 1. Validation
-    if (!image_url) return res.status(400).json({ error: 'Missing field: image_url' });
-    if (!description) return res.status(400).json({ error: 'Missing field: description' });
-    if (location_lat === undefined || location_lat === null) return res.status(400).json({ error: 'Missing field: location_lat' });
-    if (location_lng === undefined || location_lng === null) return res.status(400).json({ error: 'Missing field: location_lng' });
-
+    // 1. Fields are validated by schemas.createIssue (routes/issueSchemas.js)
     const citizen_id = req.user?.id;
     if (!citizen_id) {
       console.error('Validation Error: No citizen_id in req.user');
       return res.status(401).json({ error: 'User session invalid' });
     }
 
-    // 1. Run AI Classification (Blocking)
-    console.log('Running AI Classification...');
-    const aiResult = await classifyIssue(image_url, description);
-    console.log('AI Result:', aiResult);
+    // Only images that went through POST /uploads are accepted
+    const image = resolveImageRef(image_ref, citizen_id);
 
-    // If AI determines it's not a civic issue, return an error
-    if (aiResult.error) {
-      console.log('AI determined not a civic issue:', aiResult.error);
-      return res.status(400).json({ 
-        error: 'Submission not related to civic issues',
-        details: aiResult.error
-      });
+    // 2. Tag the ward by point-in-polygon lookup (skipped until wards are uploaded)
+    const { ward, configured: wardsConfigured } = await findWardForPoint(Number(location_lat), Number(location_lng));
+    const outsideWards = wardsConfigured && !ward;
+    if (outsideWards && WARD_OUTSIDE_POLICY === 'reject') {
+      return res.status(400).json({ error: 'Location is outside the service area' });
     }
 
-    // 2. Override with manual department if provided
-    const finalDepartment = manual_department || aiResult.assigned_authority;
-    const finalIssueType = manual_issue_type || aiResult.issue_type;
+    // 3. Manual selections win over AI; until classified, issues wait in the head queue
+    const manualIssueType = manual_issue_type && String(manual_issue_type).trim() !== '' ? manual_issue_type : null;
+    const manualDepartment = manual_department && String(manual_department).trim() !== '' ? manual_department : null;
+    const initialDepartment = manualDepartment || 'head';
 
-    // 3. Save Issue to DB (Using supabaseAdmin to bypass RLS for backend service)
     // Check if it's a manual report - be very explicit
-    const isManual = Boolean(
-      is_manual_submission === true ||
-      (manual_department && String(manual_department).trim() !== '') || 
-      (manual_issue_type && String(manual_issue_type).trim() !== '')
-    );
+    const isManual = Boolean(is_manual_submission === true || manualDepartment || manualIssueType);
     
-    console.log('Final Manual Status Check:', {
-      manual_department,
-      manual_issue_type,
-      isManual
-    });
+    // 4. Attach to an existing open issue instead of creating a duplicate.
+    // Without a manual type this happens after AI classification instead.
+    if (manualIssueType) {
+      const duplicate = await findDuplicateIssue(manualIssueType, Number(location_lat), Number(location_lng));
+      if (duplicate) {
+        console.log(`Duplicate of issue ${duplicate.id}, attaching as supporting report`);
+        const supportedIssue = await attachSupportingReport(duplicate, {
+          citizen_id,
+          image_url: image.image_url,
+          description,
+          location_lat: Number(location_lat),
+          location_lng: Number(location_lng)
+        });
+        // The existing issue belongs to someone else, so the citizen gets the public view of it
+        return res.status(200).json({ ...toPublicIssue(supportedIssue), duplicate_of: duplicate.id });
+      }
+    }
 
+    // 5. Save Issue to DB (Using supabaseAdmin to bypass RLS for backend service)
     const issueData = {
       citizen_id,
-      image_url,
+      image_url: image.image_url,
+      thumbnail_url: image.thumbnail_url,
+      image_path: image.path,
+      image_mime_type: image.mime_type,
       description,
       location_lat: Number(location_lat),
       location_lng: Number(location_lng),
-      issue_type: finalIssueType,
-      assigned_authority: finalDepartment,
-      department: finalDepartment,
+      issue_type: manualIssueType,
+      manual_issue_type: manualIssueType,
+      manual_department: manualDepartment,
+      assigned_authority: initialDepartment,
+      department: initialDepartment,
+      ward_id: ward ? ward.id : null,
+      outside_wards: outsideWards,
+      due_at: computeDueAt(manualIssueType, initialDepartment),
       ai_analysis: {
-        ...aiResult,
         is_manual: isManual
       },
+      classification_status: 'pending',
       status: 'reported'
     };
 
-    console.log('Inserting into DB:', issueData);
-
     const { data: issue, error: issueError } = await supabaseAdmin
       .from('issues')
       .insert([issueData])
@@ -82,27 +102,23 @@ exports.createIssue = async (req, res) => {
 
     if (issueError) {
       console.error('Supabase Insert Error:', issueError);
-      return res.status(400).json({ 
-        error: 'Database insert failed',
-        details: issueError.message,
-        hint: issueError.hint,
-        code: issueError.code
-      });
+      throw issueError;
     }
 
     if (!issue || issue.length === 0) {
       throw new Error('Failed to save issue - no data returned');
     }
 
-    res.status(201).json(issue[0]);
+    // 6. Classify in the background; the citizen does not wait on the AI
+    enqueueClassification(issue[0].id);
+    publishIssueEvent('issue_created', issue[0], { action: 'created', changedBy: citizen_id });
+
+    res.status(201).json(toOwnerIssue(issue[0]));
   } catch (error) {
     console.error('--- CREATE ISSUE ERROR ---');
     console.error(error);
     res.status(error.status || 500).json({ 
-      error: 'Failed to report issue',
-      details: error.message || 'Internal Server Error',
-      hint: error.hint,
-      code: error.code
+      error: error.status ? error.message : 'Failed to report issue'
     });
   }
 };
@@ -118,13 +134,14 @@ exports.getMyIssues = async (req, res) => {
       .from('issues')
       .select('*')
       .eq('citizen_id', req.user.id)
+      .is('deleted_at', null)
       .order('created_at', { ascending: false });
 
     if (error) {
       throw error;
     }
     
-    res.json(issues);
+    res.json(issues.map((issue) => toOwnerIssue(annotateSla(issue))));
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch issues' });
   }
@@ -132,46 +149,41 @@ exports.getMyIssues = async (req, res) => {
 
 /**
  * GET /issues/authority
- * Role: head_authority
+ * Role: head_authority (all issues), department_authority (own department only)
+ * Query: status, issue_type, department, ward_id, classification_status, from, to, is_manual, q, sort, limit, cursor
+ * Sorted by priority (votes, supporting reports, escalation) unless sort is given
  */
 exports.getAuthorityIssues = async (req, res) => {
   try {
-    const { limit } = req.query;
-    
-    let selectFields = '*';
-    
-    let query = supabaseAdmin
-      .from('issues')
-      .select(selectFields);
+    const options = parseListQuery({ sort: 'priority', ...req.query });
 
-    if (limit && !isNaN(parseInt(limit))) {
-      query = query.limit(parseInt(limit));
+    if (req.user.role === 'department_authority') {
+      if (!req.user.department) {
+        return res.status(403).json({ error: 'No department assigned to your profile' });
+      }
+      options.filters.department = req.user.department;
     }
 
-    const { data: issues, error } = await query.order('created_at', { ascending: false });
-
-    if (error) {
-      throw error;
-    }
-    
-    res.json(issues);
+    res.json(await listIssues(options));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch issues' });
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to fetch issues' 
+    });
   }
 };
 
 /**
  * PATCH /issues/:id/status
- * Role: head_authority
+ * Role: head_authority, department_authority (own department only)
  */
 exports.updateStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, resolved_image_url } = req.body;
+    const { status, resolved_image_ref, reason } = req.body;
     const changed_by = req.user.id;
 
-    if (!['reported', 'in_progress', 'resolved'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    if (resolved_image_ref && status !== 'resolved') {
+      return res.status(400).json({ error: 'resolved_image_ref is only accepted when status is resolved' });
     }
 
     // 1. Get old status (Using Admin)
@@ -179,59 +191,136 @@ exports.updateStatus = async (req, res) => {
       .from('issues')
       .select('*')
       .eq('id', id)
+      .is('deleted_at', null)
       .single();
 
     if (fetchError || !oldIssue) {
       return res.status(404).json({ error: 'Issue not found' });
     }
 
-    // 2. Update status and resolved_image_url if provided (Using Admin)
-    const updateData = { status };
+    // 2. Enforce the lifecycle rules for this role
+    const check = validateTransition(oldIssue.status, status, req.user.role, req.body);
+    if (!check.ok) {
+      return res.status(check.status).json({ 
+        error: check.error,
+        code: check.code,
+        allowed_transitions: check.allowed
+      });
+    }
+
+    // 3. Update status and the fields that come with it (Using Admin)
+    const updateData = statusUpdateFields(status, oldIssue, { reason });
+    let resolvedImage = null;
     
-    if (status === 'resolved' && resolved_image_url) {
-      updateData.resolved_image_url = resolved_image_url;
-      updateData.resolved_at = new Date().toISOString();
+    if (status === 'resolved') {
+      try {
+        resolvedImage = resolveImageRef(resolved_image_ref, changed_by);
+      } catch (refError) {
+        return res.status(refError.status || 400).json({ error: refError.message });
+      }
+      Object.assign(updateData, clearResolutionCheck(), {
+        resolved_image_url: resolvedImage.image_url,
+        resolved_image_path: resolvedImage.path,
+        resolved_image_mime_type: resolvedImage.mime_type,
+        resolved_at: new Date().toISOString(),
+        verification_status: 'pending',
+        // The AI compares the before/after photos in the background
+        resolution_check_status: 'pending'
+      });
+    }
+
+    // 4. Save the change and its log entry together
+    const finalResult = await updateIssueWithLog(id, updateData, {
+      action: 'status_change',
+      changedBy: changed_by,
+      details: reason ? { reason } : null,
+      resolvedImageUrl: resolvedImage ? resolvedImage.image_url : null
+    });
+
+    if (!finalResult) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    if (status === 'resolved') {
+      enqueueResolutionCheck(id);
+    }
+
+    // 5. Notify the reporter without holding up the response
+    notifyStatusChange(finalResult, oldIssue.status);
+
+    res.json(annotateSla(finalResult));
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to update status',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * POST /issues/:id/verify
+ * Role: citizen (reporter of the issue)
+ * Confirms a resolution (closes the issue) or disputes it with a new photo (image_ref) and comment (reopens it).
+ */
+exports.verifyResolution = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { verdict, comment, image_ref } = req.body;
+    const changed_by = req.user.id;
+
+    if (verdict === 'dispute') {
+      if (!image_ref) return res.status(400).json({ error: 'Missing field: image_ref' });
+      if (!comment) return res.status(400).json({ error: 'Missing field: comment' });
     }
 
-    const { data: updatedIssue, error: updateError } = await supabaseAdmin
+    const { data: issue, error: fetchError } = await supabaseAdmin
       .from('issues')
-      .update(updateData)
+      .select('*')
       .eq('id', id)
-      .select('*');
+      .is('deleted_at', null)
+      .maybeSingle();
 
-    if (updateError) {
-      return res.status(500).json({ 
-        error: 'Database update failed', 
-        message: updateError.message
-      });
+    if (fetchError) {
+      throw fetchError;
     }
-
-    if (!updatedIssue || updatedIssue.length === 0) {
+    if (!issue) {
       return res.status(404).json({ error: 'Issue not found' });
     }
 
-    const finalResult = updatedIssue[0];
-
-    // 3. Log the change (Using Admin)
-    try {
-      const logData = {
-        issue_id: id,
-        old_status: oldIssue.status,
-        new_status: status,
-        changed_by
-      };
-      if (status === 'resolved' && resolved_image_url) {
-        logData.resolved_image_url = resolved_image_url;
+    let disputeImage = null;
+    if (verdict === 'dispute') {
+      try {
+        disputeImage = resolveImageRef(image_ref, changed_by);
+      } catch (refError) {
+        return res.status(refError.status || 400).json({ error: refError.message });
       }
-      await supabaseAdmin.from('issue_logs').insert([logData]);
-    } catch (logErr) {
-      // Non-fatal logging exception
     }
 
-    res.json(finalResult);
+    const status = verdict === 'confirm' ? 'closed' : 'reopened';
+    const check = validateTransition(issue.status, status, req.user.role);
+    if (!check.ok) {
+      return res.status(check.status).json({ 
+        error: 'Only resolved issues can be verified',
+        code: check.code,
+        allowed_transitions: check.allowed
+      });
+    }
+
+    const now = new Date().toISOString();
+    const updateData = verdict === 'confirm'
+      ? { status, closed_at: now, verification_status: 'confirmed', verified_at: now }
+      : { ...clearResolutionCheck(), ...reopenedSlaFields(issue), status, resolved_at: null, verification_status: 'disputed', verified_at: now };
+
+    const updatedIssue = await updateIssueWithLog(id, updateData, {
+      action: verdict === 'confirm' ? 'citizen_confirm' : 'citizen_dispute',
+      changedBy: changed_by,
+      details: { comment, image_url: disputeImage ? disputeImage.image_url : undefined }
+    });
+
+    res.json(toOwnerIssue(updatedIssue));
   } catch (error) {
     res.status(500).json({ 
-      error: 'Failed to update status',
+      error: 'Failed to verify resolution',
       details: error.message || 'Internal Server Error'
     });
   }
@@ -246,20 +335,35 @@ exports.reassignIssue = async (req, res) => {
     const { id } = req.params;
     const { assigned_authority } = req.body;
 
-    const { data: updatedIssue, error } = await supabaseAdmin
+    const { data: issue, error: fetchError } = await supabaseAdmin
       .from('issues')
-      .update({ 
-        assigned_authority, 
-        department: assigned_authority // Update both columns
-      })
+      .select('id, issue_type, department, created_at')
       .eq('id', id)
-      .select()
-      .single();
+      .is('deleted_at', null)
+      .maybeSingle();
 
-    if (error) {
-      throw error;
+    if (fetchError) {
+      throw fetchError;
     }
-    res.json(updatedIssue);
+    if (!issue) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    const updatedIssue = await updateIssueWithLog(id, {
+      assigned_authority, 
+      department: assigned_authority, // Update both columns
+      due_at: computeDueAt(issue.issue_type, assigned_authority, issue.created_at)
+    }, {
+      action: 'reassign',
+      changedBy: req.user.id,
+      details: { old_department: issue.department, new_department: assigned_authority }
+    });
+
+    if (issue.department !== assigned_authority) {
+      notifyReassignment(updatedIssue, issue.department);
+    }
+
+    res.json(annotateSla(updatedIssue));
   } catch (error) {
     res.status(500).json({ 
       error: 'Failed to reassign issue',
@@ -271,27 +375,93 @@ exports.reassignIssue = async (req, res) => {
 /**
  * GET /issues/public
  * Role: public (anyone can view the transparency wall)
+ * Query: status, issue_type, department, ward_id, classification_status, from, to, is_manual, q, sort, limit, cursor
  */
 exports.getAllIssues = async (req, res) => {
   try {
-    const { data: issues, error } = await supabaseAdmin
-      .from('issues')
-      .select('*')
-      .order('created_at', { ascending: false });
+    // Review queues and classification state are internal
+    const options = parsePublicListQuery(req.query);
 
-    if (error) {
-      throw error;
-    }
-    
-    res.json(issues);
+    const { data, pagination } = await listIssues(options);
+    res.json({ data: data.map(toPublicIssue), pagination });
+  } catch (error) {
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to fetch transparency wall issues' 
+    });
+  }
+};
+
+/**
+ * GET /issues/categories
+ * Role: public
+ * Issue categories and the department each one is routed to.
+ */
+exports.getCategories = (req, res) => {
+  res.json(CATEGORIES.map(({ id, label, department, description }) => ({ id, label, department, description })));
+};
+
+/**
+ * GET /issues/bbox
+ * Role: public
+ * Query: min_lat, min_lng, max_lat, max_lng, plus the listing filters
+ */
+exports.getIssuesInBox = async (req, res) => {
+  try {
+    const box = parseBoundingBox(req.query);
+    const { filters } = parsePublicListQuery(req.query);
+
+    const issues = await findIssuesInBox(box, filters);
+    res.json(issues.map(toPublicIssue));
+  } catch (error) {
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to fetch issues in area' 
+    });
+  }
+};
+
+/**
+ * GET /issues/nearby
+ * Role: public
+ * Query: lat, lng, radius (meters), plus the listing filters
+ */
+exports.getNearbyIssues = async (req, res) => {
+  try {
+    const point = parseRadius(req.query);
+    const { filters } = parsePublicListQuery(req.query);
+
+    const issues = await findIssuesNearby(point, filters);
+    res.json(issues.map(toPublicIssue));
+  } catch (error) {
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to fetch nearby issues' 
+    });
+  }
+};
+
+/**
+ * GET /issues/clusters
+ * Role: public
+ * Query: min_lat, min_lng, max_lat, max_lng, zoom (0-20), plus the listing filters
+ */
+exports.getIssueClusters = async (req, res) => {
+  try {
+    const box = parseBoundingBox(req.query);
+    const { filters } = parsePublicListQuery(req.query);
+    const zoom = parseInt(req.query.zoom, 10);
+
+    const { markers, ...result } = await clusterIssues(box, zoom, filters);
+    res.json({ ...result, markers: markers.map(toPublicIssue) });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch transparency wall issues' });
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to cluster issues' 
+    });
   }
 };
 
 /**
  * GET /issues/:id
- * Role: any authenticated user
+ * Role: public (reporter and authorities get fuller views when signed in)
+ * Includes vote_count, comment_count and the first page of comments.
  */
 exports.getIssueById = async (req, res) => {
   try {
@@ -301,7 +471,9 @@ exports.getIssueById = async (req, res) => {
     const { data: issues, error } = await supabaseAdmin
       .from('issues')
       .select('*')
-      .eq('id', id);
+      .eq('id', id)
+      .is('merged_into', null)
+      .is('deleted_at', null);
 
     if (error) {
       return res.status(500).json({ 
@@ -310,19 +482,53 @@ exports.getIssueById = async (req, res) => {
       });
     }
 
-    if (!issues || issues.length === 0) {
+    if (!issues || issues.length === 0 || !canViewIssue(req.user, issues[0])) {
       return res.status(404).json({ error: 'Issue not found' });
     }
 
-    res.json(issues[0]);
+    const comments = await listComments(id);
+
+    res.json(serializeIssueFor(req.user, { ...annotateSla(issues[0]), comments }));
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch issue details' });
   }
 };
 
+/**
+ * GET /issues/:id/timeline
+ * Role: public (authorities also see who acted and internal review entries)
+ * Oldest-first history: creation, classification, reassignments, status changes with proof
+ * images, citizen verification and comments.
+ */
+exports.getIssueTimeline = async (req, res) => {
+  try {
+    const { data: issue, error } = await supabaseAdmin
+      .from('issues')
+      .select('id, citizen_id, image_url, created_at, status, classification_status, ai_analysis, resolution_check_status, resolution_review_status')
+      .eq('id', req.params.id)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!canViewIssue(req.user, issue)) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    res.json({ issue_id: issue.id, events: await buildTimeline(issue, req.user) });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to fetch issue timeline',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
 /**
  * DELETE /issues/:id
  * Role: head_authority
+ * Body: { reason }. Moves the issue to the trash; it is purged after the retention period.
  */
 exports.deleteIssue = async (req, res) => {
   console.log('--- DELETE ISSUE REQUEST ---');
@@ -330,21 +536,14 @@ exports.deleteIssue = async (req, res) => {
   console.log('Deleting issue with ID:', req.params.id);
   try {
     const { id } = req.params;
+    const { reason } = req.body;
 
-    const { error } = await supabaseAdmin
-      .from('issues')
-      .delete()
-      .eq('id', id);
-
-    if (error) {
-      console.error('Supabase Delete Error:', error);
-      return res.status(500).json({ 
-        error: 'Database error',
-        details: error.message 
-      });
+    const [outcome] = await softDeleteIssues([id], req.user.id, reason);
+    if (outcome.result !== 'deleted') {
+      return res.status(404).json({ error: 'Issue not found' });
     }
 
-    console.log(`Issue ${id} deleted successfully.`);
+    console.log(`Issue ${id} moved to trash.`);
     res.status(204).send(); // No Content
   } catch (error) {
     console.error('--- DELETE ISSUE CATCH ERROR ---');
@@ -356,36 +555,464 @@ exports.deleteIssue = async (req, res) => {
 /**
  * POST /issues/bulk-delete
  * Role: head_authority
+ * Body: { issueIds, reason }. Responds with the outcome for every requested id.
  */
 exports.bulkDeleteIssues = async (req, res) => {
-  console.log('--- BULK DELETE ISSUES REQUEST ---');
-  console.log('User:', req.user ? { id: req.user.id, email: req.user.email, role: req.user.role } : 'No User');
-  console.log('Body:', req.body);
   try {
+    const { issueIds, reason } = req.body;
+
+    const results = await softDeleteIssues(issueIds, req.user.id, reason);
+    const deletedCount = results.filter((outcome) => outcome.result === 'deleted').length;
+
+    console.log(`${deletedCount} of ${results.length} issues moved to trash.`);
+    res.json({ deleted: deletedCount, results });
+  } catch (error) {
+    console.error('--- BULK DELETE ISSUES CATCH ERROR ---');
+    console.error(error);
+    res.status(500).json({ error: 'Failed to bulk delete issues' });
+  }
+};
+
+/**
+ * POST /issues/bulk-status
+ * Role: head_authority, department_authority (own department only)
+ * Body: { issueIds } or { filter } (listing query parameters), status, reason?, dry_run?
+ * Each issue is checked against the lifecycle rules and logged on its own; the response
+ * has one result per issue. With dry_run nothing is changed.
+ */
+exports.bulkUpdateStatus = async (req, res) => {
+  try {
+    const { issueIds, filter, status, reason, dry_run } = req.body;
+
+    if (req.user.role === 'department_authority' && !req.user.department) {
+      return res.status(403).json({ error: 'No department assigned to your profile' });
+    }
+
+    const summary = await bulkUpdateStatus(
+      { issueIds, filter },
+      { status, reason: reason ? String(reason).trim() : undefined, dryRun: dry_run === true },
+      req.user
+    );
+
+    console.log(`Bulk status '${status}': ${summary.dry_run ? summary.would_update : summary.updated} of ${summary.results.length} issues${summary.dry_run ? ' (dry run)' : ''}.`);
+    res.json(summary);
+  } catch (error) {
+    console.error('--- BULK STATUS UPDATE CATCH ERROR ---');
+    console.error(error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to bulk update issues'
+    });
+  }
+};
+
+/**
+ * POST /issues/bulk-reassign
+ * Role: head_authority
+ * Body: { issueIds } or { filter } (listing query parameters), assigned_authority, dry_run?
+ */
+exports.bulkReassignIssues = async (req, res) => {
+  try {
+    const { issueIds, filter, assigned_authority, dry_run } = req.body;
+
+    const summary = await bulkReassign(
+      { issueIds, filter },
+      { assignedAuthority: assigned_authority, dryRun: dry_run === true },
+      req.user
+    );
+
+    console.log(`Bulk reassign to ${assigned_authority}: ${summary.dry_run ? summary.would_update : summary.updated} of ${summary.results.length} issues${summary.dry_run ? ' (dry run)' : ''}.`);
+    res.json(summary);
+  } catch (error) {
+    console.error('--- BULK REASSIGN CATCH ERROR ---');
+    console.error(error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to bulk reassign issues'
+    });
+  }
+};
+
+/**
+ * GET /issues/trash
+ * Role: head_authority
+ * Soft-deleted issues that can still be restored.
+ * Query: the listing filters, sort, limit, cursor
+ */
+exports.getTrash = async (req, res) => {
+  try {
+    const options = parseListQuery(req.query);
+    options.filters.deleted = true;
+
+    const { data, pagination } = await listIssues(options);
+    res.json({ data, pagination, retention_days: DELETED_RETENTION_DAYS });
+  } catch (error) {
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to fetch deleted issues' 
+    });
+  }
+};
+
+/**
+ * POST /issues/:id/restore
+ * Role: head_authority
+ * Body: { reason } (optional)
+ */
+exports.restoreIssue = async (req, res) => {
+  try {
+    const issue = await restoreIssue(req.params.id, req.user.id, req.body?.reason || null);
+    if (!issue) {
+      return res.status(404).json({ error: 'Issue not found in trash' });
+    }
+
+    res.json(annotateSla(issue));
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to restore issue',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * POST /issues/:id/merge
+ * Role: head_authority
+ * Folds the given issues into :id. Each merged issue becomes a supporting report
+ * on the target and is hidden from listings via merged_into.
+ */
+exports.mergeIssues = async (req, res) => {
+  try {
+    const { id } = req.params;
     const { issueIds } = req.body;
+    const changed_by = req.user.id;
+
+    if (issueIds.includes(id)) {
+      return res.status(400).json({ error: 'Cannot merge an issue into itself' });
+    }
+
+    const { data: target, error: targetError } = await supabaseAdmin
+      .from('issues')
+      .select('*')
+      .eq('id', id)
+      .is('merged_into', null)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (targetError) {
+      throw targetError;
+    }
+    if (!target) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    const { data: sources, error: sourcesError } = await supabaseAdmin
+      .from('issues')
+      .select('*')
+      .in('id', issueIds)
+      .is('merged_into', null)
+      .is('deleted_at', null);
+
+    if (sourcesError) {
+      throw sourcesError;
+    }
 
-    if (!Array.isArray(issueIds) || issueIds.length === 0) {
-      return res.status(400).json({ error: 'Invalid or empty array of issue IDs provided' });
+    const foundIds = (sources || []).map((issue) => issue.id);
+    const missingIds = issueIds.filter((issueId) => !foundIds.includes(issueId));
+    if (missingIds.length > 0) {
+      return res.status(404).json({ error: 'Some issues were not found or are already merged', details: missingIds });
     }
 
-    const { error } = await supabaseAdmin
+    // 1. Fold each issue into the target, one at a time so support counts stay consistent.
+    // Every merged issue gets its own 'merged_into' log entry along the way.
+    for (const source of sources) {
+      await mergeIssueInto(source, id, { changedBy: changed_by });
+    }
+
+    // 2. Log the merge on the target
+    const updatedIssue = await updateIssueWithLog(id, {}, {
+      action: 'merge',
+      changedBy: changed_by,
+      details: { merged_issue_ids: sources.map((issue) => issue.id) }
+    });
+
+    res.json(annotateSla(updatedIssue));
+  } catch (error) {
+    console.error('--- MERGE ISSUES ERROR ---');
+    console.error(error);
+    res.status(500).json({
+      error: 'Failed to merge issues',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * POST /issues/:id/split
+ * Role: head_authority
+ * Detaches supporting reports from :id. Reports that came from a merged issue
+ * restore that issue; plain "+1" reports become new issues of their own.
+ */
+exports.splitIssue = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reportIds } = req.body;
+    const changed_by = req.user.id;
+
+    const { data: parent, error: parentError } = await supabaseAdmin
       .from('issues')
+      .select('*')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (parentError) {
+      throw parentError;
+    }
+    if (!parent) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    const { data: reports, error: reportsError } = await supabaseAdmin
+      .from('issue_reports')
+      .select('*')
+      .eq('issue_id', id)
+      .in('id', reportIds);
+
+    if (reportsError) {
+      throw reportsError;
+    }
+
+    const foundIds = (reports || []).map((report) => report.id);
+    const missingIds = reportIds.filter((reportId) => !foundIds.includes(reportId));
+    if (missingIds.length > 0) {
+      return res.status(404).json({ error: 'Some reports do not belong to this issue', details: missingIds });
+    }
+
+    const splitIssueIds = [];
+
+    for (const report of reports) {
+      if (report.merged_from_issue_id) {
+        await updateIssueWithLog(report.merged_from_issue_id, { merged_into: null }, {
+          action: 'split_from',
+          changedBy: changed_by,
+          details: { parent_issue_id: id }
+        });
+        splitIssueIds.push(report.merged_from_issue_id);
+      } else {
+        const { data: newIssue, error: insertError } = await supabaseAdmin
+          .from('issues')
+          .insert([{
+            citizen_id: report.citizen_id,
+            image_url: report.image_url,
+            description: report.description,
+            location_lat: report.location_lat,
+            location_lng: report.location_lng,
+            issue_type: parent.issue_type,
+            assigned_authority: parent.assigned_authority,
+            department: parent.department,
+            ward_id: parent.ward_id,
+            outside_wards: parent.outside_wards,
+            due_at: computeDueAt(parent.issue_type, parent.department, report.created_at),
+            ai_analysis: parent.ai_analysis,
+            classification_status: 'completed',
+            status: 'reported',
+            created_at: report.created_at
+          }])
+          .select()
+          .single();
+
+        if (insertError) {
+          throw insertError;
+        }
+        publishIssueEvent('issue_created', newIssue, { action: 'split_from', changedBy: changed_by, details: { parent_issue_id: id } });
+        splitIssueIds.push(newIssue.id);
+      }
+    }
+
+    const { error: deleteError } = await supabaseAdmin
+      .from('issue_reports')
       .delete()
-      .in('id', issueIds);
+      .in('id', reportIds);
 
-    if (error) {
-      console.error('Supabase Bulk Delete Error:', error);
-      return res.status(500).json({ 
-        error: 'Database error',
-        details: error.message 
-      });
+    if (deleteError) {
+      throw deleteError;
     }
 
-    console.log(`${issueIds.length} issues deleted successfully.`);
-    res.status(204).send(); // No Content
+    await refreshSupportCount(id);
+    const updatedIssue = await updateIssueWithLog(id, {}, {
+      action: 'split',
+      changedBy: changed_by,
+      details: { split_issue_ids: splitIssueIds }
+    });
+
+    res.json({ issue: updatedIssue, split_issue_ids: splitIssueIds });
   } catch (error) {
-    console.error('--- BULK DELETE ISSUES CATCH ERROR ---');
+    console.error('--- SPLIT ISSUE ERROR ---');
     console.error(error);
-    res.status(500).json({ error: 'Failed to bulk delete issues' });
+    res.status(500).json({
+      error: 'Failed to split issue',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * POST /issues/:id/reclassify
+ * POST /issues/reclassify (body: { issueIds })
+ * Role: head_authority
+ * Re-runs AI classification in the background for one issue or a batch.
+ */
+exports.reclassifyIssues = async (req, res) => {
+  try {
+    const issueIds = req.params.id ? [req.params.id] : req.body.issueIds;
+
+    const queuedIds = await requestReclassification(issueIds);
+    if (req.params.id && queuedIds.length === 0) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    res.status(202).json({
+      queued: queuedIds,
+      not_found: issueIds.filter((issueId) => !queuedIds.includes(issueId))
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to queue reclassification',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * GET /issues/review-queue
+ * Role: head_authority
+ * Classifications flagged for a human check (low confidence or disagreeing with the citizen's pick).
+ * Query: review_status (default pending), plus the listing filters
+ */
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const params = parseListQuery({ sort: 'oldest', review_status: 'pending', ...req.query });
+    res.json(await listIssues(params));
+  } catch (error) {
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to fetch review queue' 
+    });
+  }
+};
+
+/**
+ * POST /issues/:id/review
+ * Role: head_authority
+ * Body: { action: 'accept' | 'override', issue_type (required for override) }
+ */
+exports.reviewClassification = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { action, issue_type } = req.body;
+
+    if (action === 'override' && !issue_type) {
+      return res.status(400).json({ error: 'Missing field: issue_type', code: 'VALIDATION_FAILED' });
+    }
+
+    const { data: issue, error: fetchError } = await supabaseAdmin
+      .from('issues')
+      .select('*')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw fetchError;
+    }
+    if (!issue) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+    if (issue.review_status !== 'pending') {
+      return res.status(409).json({ error: 'Issue is not awaiting review' });
+    }
+
+    const updatedIssue = await resolveReview(issue, { action, issueType: issue_type }, req.user.id);
+
+    if (updatedIssue.department !== issue.department) {
+      notifyReassignment(updatedIssue, issue.department);
+    }
+
+    res.json(annotateSla(updatedIssue));
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to review classification',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * GET /issues/resolution-reviews
+ * Role: head_authority
+ * Resolved issues whose before/after photo check looked suspicious, failed or was unsure.
+ * Query: resolution_review_status (default pending), plus the listing filters
+ */
+exports.getResolutionReviews = async (req, res) => {
+  try {
+    const params = parseListQuery({ sort: 'oldest', resolution_review_status: 'pending', ...req.query, status: 'resolved' });
+    res.json(await listIssues(params));
+  } catch (error) {
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to fetch resolution reviews' 
+    });
+  }
+};
+
+/**
+ * POST /issues/:id/resolution-review
+ * Role: head_authority
+ * Body: { action: 'accept' | 'reopen', reason }
+ * accept trusts the resolution despite the photo check; reopen sends the issue back to the department.
+ */
+exports.reviewResolution = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { action, reason } = req.body;
+    const changed_by = req.user.id;
+
+    const { data: issue, error: fetchError } = await supabaseAdmin
+      .from('issues')
+      .select('*')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw fetchError;
+    }
+    if (!issue) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+    if (issue.status !== 'resolved' || issue.resolution_review_status !== 'pending') {
+      return res.status(409).json({ error: 'Issue resolution is not awaiting review' });
+    }
+
+    const updateData = action === 'reopen'
+      ? { ...clearResolutionCheck(), ...reopenedSlaFields(issue), status: 'reopened', resolved_at: null, closed_at: null }
+      : { resolution_review_status: 'accepted' };
+
+    const updatedIssue = await updateIssueWithLog(id, updateData, {
+      action: action === 'reopen' ? 'resolution_review_reopen' : 'resolution_review_accept',
+      changedBy: changed_by,
+      details: {
+        reason,
+        verdict: issue.resolution_verdict,
+        confidence: issue.resolution_confidence
+      }
+    });
+
+    if (action === 'reopen') {
+      notifyStatusChange(updatedIssue, issue.status);
+    }
+
+    res.json(annotateSla(updatedIssue));
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to review resolution',
+      details: error.message || 'Internal Server Error'
+    });
   }
 };
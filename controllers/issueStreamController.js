@@ -0,0 +1,145 @@
+const { toPublicIssue, toOwnerIssue, toAuthorityIssue } = require('../services/serializers');
+const { getEventsSince, subscribeToIssueEvents, isEventVisibleTo } = require('../services/issueEvents');
+require('dotenv').config();
+
+// Comment lines keep proxies and load balancers from closing idle streams
+const HEARTBEAT_MS = (Number(process.env.SSE_HEARTBEAT_SECONDS) || 25) * 1000;
+const MAX_STREAMS = Number(process.env.SSE_MAX_CONNECTIONS) || 500;
+// Output queued for a client that is not reading; past this the stream is dropped and the
+// client reconnects with Last-Event-ID
+const MAX_BUFFERED_BYTES = (Number(process.env.SSE_MAX_BUFFER_KB) || 256) * 1024;
+// How long browsers wait before reconnecting after a dropped stream
+const RECONNECT_DELAY_MS = 5000;
+
+const AUTHORITY_ROLES = ['head_authority', 'department_authority'];
+
+let openStreams = 0;
+
+/**
+ * The event as sent to a subscriber: the issue in the view their role gets (see
+ * services/serializers.js), and for authorities who made the change and why.
+ */
+const serializeEventFor = (event, user) => {
+  const isAuthority = Boolean(user) && AUTHORITY_ROLES.includes(user.role);
+
+  let issue;
+  if (event.type === 'issue_deleted') {
+    // Nothing but the id is left to show once an issue is gone
+    issue = { id: event.issue.id };
+  } else if (isAuthority) {
+    issue = toAuthorityIssue(event.issue);
+  } else if (user && event.issue.citizen_id === user.id) {
+    issue = toOwnerIssue(event.issue);
+  } else {
+    issue = toPublicIssue(event.issue);
+  }
+
+  return {
+    type: event.type,
+    issue,
+    at: event.at,
+    ...(isAuthority ? {
+      action: event.action,
+      changed_by: event.changedBy,
+      details: event.details,
+      previous_department: event.previousDepartment
+    } : {})
+  };
+};
+
+/**
+ * GET /issues/stream
+ * Role: public (anonymous listeners get the public wall), citizen (own and followed issues),
+ *   head_authority, department_authority (own department only)
+ * Query: department?, types? (comma-separated event types), access_token? (for EventSource,
+ *   which cannot send an Authorization header), last_event_id?
+ * Server-Sent Events stream of issue_created, status_changed, reassigned, issue_deleted and
+ * issue_restored events. Reconnecting with Last-Event-ID replays what was missed; when that is
+ * no longer possible (server restart, too far behind) a 'reset' event asks the client to refetch.
+ */
+exports.streamIssueEvents = (req, res) => {
+  const user = req.user;
+  if (user && !AUTHORITY_ROLES.includes(user.role) && user.role !== 'citizen') {
+    return res.status(403).json({ error: `Unauthorized: Role '${user.role}' does not have access.` });
+  }
+
+  let department = req.query.department || null;
+  if (user?.role === 'department_authority') {
+    if (!user.department) {
+      return res.status(403).json({ error: 'No department assigned to your profile' });
+    }
+    if (department && department !== user.department) {
+      return res.status(403).json({ error: 'Unauthorized: You can only follow your own department' });
+    }
+    department = user.department;
+  }
+
+  if (openStreams >= MAX_STREAMS) {
+    res.set('Retry-After', String(RECONNECT_DELAY_MS / 1000));
+    return res.status(503).json({ error: 'Too many open event streams, please retry shortly' });
+  }
+
+  const subscriber = {
+    user,
+    department,
+    types: req.query.types ? req.query.types.split(',').map((type) => type.trim()) : null
+  };
+  const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id || null;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stops nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  openStreams++;
+  let closed = false;
+
+  const write = (chunk) => {
+    if (closed) return;
+    if (!res.write(chunk) && res.writableLength > MAX_BUFFERED_BYTES) {
+      console.warn(`Issue stream: Dropping slow client (${res.writableLength} bytes buffered)`);
+      closed = true;
+      res.destroy();
+    }
+  };
+
+  // Visibility checks are async; chaining keeps events in the order they were published
+  let pending = Promise.resolve();
+  const send = (event) => {
+    pending = pending
+      .then(async () => {
+        if (closed || !(await isEventVisibleTo(event, subscriber))) return;
+        write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(serializeEventFor(event, user))}\n\n`);
+      })
+      .catch((error) => console.error('Issue stream: Could not send event:', error));
+  };
+
+  // Subscribing and reading the replay buffer in the same tick means nothing is missed or sent twice
+  const unsubscribe = subscribeToIssueEvents(send);
+  if (lastEventId) {
+    const missed = getEventsSince(lastEventId);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      write(`event: reset\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available, refetch issues' })}\n\n`);
+    }
+  }
+
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  console.log(`Issue stream: Opened for ${user ? `${user.role} ${user.id}` : 'anonymous'} (${openStreams} open)`);
+
+  // Fires once whether the client left or the stream was dropped
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    openStreams--;
+    console.log(`Issue stream: Closed (${openStreams} open)`);
+  });
+};
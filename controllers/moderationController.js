@@ -0,0 +1,126 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { suspendReporter, liftSuspension } = require('../services/abuse');
+const { normalizeRole } = require('../middlewares/auth');
+
+const STANDING_COLUMNS = 'id, role, abuse_strikes, reporting_cooldown_until, suspended_at, suspended_until, suspended_by, suspension_reason';
+
+const DEFAULT_FLAGS_LIMIT = 50;
+const MAX_FLAGS_LIMIT = 200;
+
+/**
+ * GET /moderation/flags
+ * Role: head_authority
+ * Query: { status?: 'open'|'reviewed'|'all' (default open), limit? }
+ * Abuse flags raised by repeated rejections, newest first, with the reporter's current standing.
+ */
+exports.getAbuseFlags = async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    const limit = Math.min(Number(req.query.limit) || DEFAULT_FLAGS_LIMIT, MAX_FLAGS_LIMIT);
+
+    let query = supabaseAdmin
+      .from('abuse_flags')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status === 'open') query = query.is('reviewed_at', null);
+    if (status === 'reviewed') query = query.not('reviewed_at', 'is', null);
+
+    const { data: flags, error } = await query;
+    if (error) {
+      throw error;
+    }
+
+    const userIds = [...new Set(flags.map((flag) => flag.user_id))];
+    let profiles = [];
+    if (userIds.length > 0) {
+      const { data, error: profileError } = await supabaseAdmin
+        .from('profiles')
+        .select(STANDING_COLUMNS)
+        .in('id', userIds);
+
+      if (profileError) {
+        throw profileError;
+      }
+      profiles = data;
+    }
+
+    const profilesById = new Map(profiles.map((profile) => [profile.id, profile]));
+    res.json(flags.map((flag) => ({ ...flag, reporter: profilesById.get(flag.user_id) || null })));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to fetch abuse flags',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * POST /moderation/users/:userId/suspension
+ * Role: head_authority
+ * Body: { reason, until? } - without until the suspension lasts until it is lifted
+ * Suspends a citizen from reporting issues and commenting. Closes their open abuse flags.
+ */
+exports.suspendUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason, until } = req.body;
+
+    if (until && new Date(until) <= new Date()) {
+      return res.status(400).json({ error: 'Invalid field: until must be in the future', code: 'VALIDATION_FAILED' });
+    }
+
+    const { data: target, error: targetError } = await supabaseAdmin
+      .from('profiles')
+      .select('id, role')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (targetError) {
+      throw targetError;
+    }
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (normalizeRole(target.role) !== 'citizen') {
+      return res.status(400).json({ error: 'Only citizens can be suspended' });
+    }
+
+    const profile = await suspendReporter(userId, req.user.id, { reason, until: until || null });
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log(`Moderation: User ${userId} suspended by ${req.user.id}${until ? ` until ${until}` : ''}`);
+    res.json(profile);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to suspend user',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * DELETE /moderation/users/:userId/suspension
+ * Role: head_authority
+ * Body: { reason? }
+ * Lifts a suspension together with any running reporting cooldown.
+ */
+exports.unsuspendUser = async (req, res) => {
+  try {
+    const profile = await liftSuspension(req.params.userId, req.user.id, req.body?.reason || null);
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log(`Moderation: Suspension of user ${req.params.userId} lifted by ${req.user.id}`);
+    res.json(profile);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to lift suspension',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
@@ -0,0 +1,143 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { getPreferences } = require('../services/notifications');
+
+/**
+ * GET /notifications
+ * Role: any authenticated user
+ * Query: unread=true to only return unread notifications, limit (default 50)
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+
+    let query = supabaseAdmin
+      .from('notifications')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (req.query.unread === 'true') {
+      query = query.is('read_at', null);
+    }
+
+    const { data: notifications, error } = await query;
+    if (error) {
+      throw error;
+    }
+
+    const { count: unreadCount, error: countError } = await supabaseAdmin
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', req.user.id)
+      .is('read_at', null);
+
+    if (countError) {
+      throw countError;
+    }
+
+    res.json({ data: notifications, unread_count: unreadCount || 0 });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+};
+
+/**
+ * PATCH /notifications/:id/read
+ * Role: any authenticated user (own notifications only)
+ * Body: { read: boolean } - defaults to true; false marks the notification unread again
+ */
+exports.markRead = async (req, res) => {
+  try {
+    const read = req.body?.read !== false;
+
+    const { data: notification, error } = await supabaseAdmin
+      .from('notifications')
+      .update({ read_at: read ? new Date().toISOString() : null })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json(notification);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+};
+
+/**
+ * POST /notifications/read-all
+ * Role: any authenticated user
+ */
+exports.markAllRead = async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', req.user.id)
+      .is('read_at', null);
+
+    if (error) {
+      throw error;
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+};
+
+/**
+ * GET /notifications/preferences
+ * Role: any authenticated user
+ */
+exports.getPreferences = async (req, res) => {
+  try {
+    res.json(await getPreferences(req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+};
+
+/**
+ * PUT /notifications/preferences
+ * Role: any authenticated user
+ * Body: { in_app?: boolean, email?: boolean }
+ */
+exports.updatePreferences = async (req, res) => {
+  try {
+    const { in_app, email } = req.body;
+
+    for (const [field, value] of Object.entries({ in_app, email })) {
+      if (value !== undefined && typeof value !== 'boolean') {
+        return res.status(400).json({ error: `Invalid field: ${field} must be a boolean` });
+      }
+    }
+
+    const current = await getPreferences(req.user.id);
+    const { data: preferences, error } = await supabaseAdmin
+      .from('notification_preferences')
+      .upsert([{
+        user_id: req.user.id,
+        in_app: in_app ?? current.in_app,
+        email: email ?? current.email
+      }], { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    res.json(preferences);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+};
@@ -0,0 +1,24 @@
+const { storeUpload } = require('../services/uploads');
+
+/**
+ * POST /uploads
+ * Role: any authenticated user
+ * Multipart field: image (JPEG, PNG, WebP or HEIC)
+ * Returns an image_ref to pass to POST /issues, PATCH /issues/:id/status or POST /issues/:id/verify.
+ */
+exports.uploadImage = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Missing file: image' });
+    }
+
+    const stored = await storeUpload(req.file.buffer, req.user.id);
+    res.status(201).json(stored);
+  } catch (error) {
+    console.error('--- UPLOAD IMAGE ERROR ---');
+    console.error(error);
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to upload image' 
+    });
+  }
+};
@@ -0,0 +1,102 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { clearWardCache, parseWardFeatureCollection } = require('../services/wards');
+const { fetchAllRows } = require('../services/fetchAll');
+
+/**
+ * GET /wards
+ * Role: public
+ * Returns ward boundaries as a GeoJSON FeatureCollection.
+ */
+exports.getWards = async (req, res) => {
+  try {
+    const { data: wards, error } = await supabaseAdmin
+      .from('wards')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      type: 'FeatureCollection',
+      features: wards.map((ward) => ({
+        type: 'Feature',
+        id: ward.id,
+        properties: { name: ward.name, code: ward.code },
+        geometry: ward.geometry
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch wards' });
+  }
+};
+
+/**
+ * PUT /wards
+ * Role: head_authority
+ * Uploads ward boundaries as a GeoJSON FeatureCollection. Wards are matched by name:
+ * existing ones get their boundary replaced, new ones are created.
+ */
+exports.uploadWards = async (req, res) => {
+  console.log('--- UPLOAD WARDS REQUEST ---');
+  try {
+    const { wards, errors } = parseWardFeatureCollection(req.body);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid ward GeoJSON', details: errors });
+    }
+
+    const { data: savedWards, error } = await supabaseAdmin
+      .from('wards')
+      .upsert(wards, { onConflict: 'name' })
+      .select('id, name, code');
+
+    if (error) {
+      console.error('Supabase Ward Upsert Error:', error);
+      return res.status(500).json({
+        error: 'Database error',
+        details: error.message
+      });
+    }
+
+    clearWardCache();
+    console.log(`${savedWards.length} wards saved.`);
+    res.json(savedWards);
+  } catch (error) {
+    console.error('--- UPLOAD WARDS ERROR ---');
+    console.error(error);
+    res.status(500).json({ error: 'Failed to upload wards' });
+  }
+};
+
+/**
+ * GET /wards/summary
+ * Role: head_authority
+ * Issue counts per ward and status. Issues outside every ward are reported under ward_id null.
+ */
+exports.getWardSummary = async (req, res) => {
+  try {
+    const { data: wards, error: wardError } = await supabaseAdmin.from('wards').select('id, name');
+    if (wardError) throw wardError;
+
+    const issues = await fetchAllRows(() => supabaseAdmin
+      .from('issues')
+      .select('id, ward_id, status')
+      .is('merged_into', null)
+      .is('deleted_at', null)
+      .order('id', { ascending: true }));
+
+    const summary = new Map(wards.map((ward) => [ward.id, { ward_id: ward.id, name: ward.name, total: 0, by_status: {} }]));
+    const outside = { ward_id: null, name: 'Outside all wards', total: 0, by_status: {} };
+
+    for (const issue of issues) {
+      const entry = summary.get(issue.ward_id) || outside;
+      entry.total += 1;
+      entry.by_status[issue.status] = (entry.by_status[issue.status] || 0) + 1;
+    }
+
+    res.json([...summary.values(), outside]);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to summarize wards' });
+  }
+};
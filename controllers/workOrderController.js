@@ -0,0 +1,478 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { resolveImageRef } = require('../services/uploads');
+const { notifyWorkOrdersCompleted } = require('../services/notifications');
+const { OPEN_STATUSES } = require('../services/lifecycle');
+const {
+  WORKER_ISSUE_COLUMNS,
+  parseWorkOrderFields,
+  validateWorkOrderTransition,
+  getCrewIdsForUser,
+  isAssignedTo,
+  validateAssignees,
+  findNonFieldWorkers,
+  logWorkOrderEvent,
+  allWorkOrdersCompleted
+} = require('../services/workOrders');
+
+const WORK_ORDER_SELECT = `*, issue:issues!inner(${WORKER_ISSUE_COLUMNS}, deleted_at)`;
+
+const MAX_PHOTO_NOTE_LENGTH = 500;
+
+const stripDeletedAt = (workOrder) => {
+  if (!workOrder?.issue) return workOrder;
+  const { deleted_at, ...issue } = workOrder.issue;
+  return { ...workOrder, issue };
+};
+
+/**
+ * Loads a work order the caller may act on: head authorities see all, department
+ * authorities those on their department's issues, field workers only their own assignments.
+ */
+const findAccessibleWorkOrder = async (req) => {
+  const { data: workOrder, error } = await supabaseAdmin
+    .from('work_orders')
+    .select(WORK_ORDER_SELECT)
+    .eq('id', req.params.id)
+    .is('issue.deleted_at', null)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!workOrder) {
+    return { status: 404, error: 'Work order not found' };
+  }
+
+  const { role, department, id: userId } = req.user;
+  if (role === 'department_authority' && workOrder.issue.department !== department) {
+    return { status: 403, error: 'Unauthorized: You do not have access to this resource.' };
+  }
+  if (role === 'field_worker' && !isAssignedTo(workOrder, userId, await getCrewIdsForUser(userId))) {
+    // Other crews' work orders are not revealed
+    return { status: 404, error: 'Work order not found' };
+  }
+  return { workOrder: stripDeletedAt(workOrder) };
+};
+
+/**
+ * POST /issues/:id/work-orders
+ * Role: head_authority, department_authority (own department only)
+ * Body: { title, assignee_user_id?, assignee_crew_id?, scheduled_for?, estimated_cost?, materials_notes? }
+ */
+exports.createWorkOrder = async (req, res) => {
+  try {
+    const { fields, errors } = parseWorkOrderFields(req.body, true);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid work order', details: errors });
+    }
+
+    const { data: issue, error: issueError } = await supabaseAdmin
+      .from('issues')
+      .select('id, status')
+      .eq('id', req.params.id)
+      .is('merged_into', null)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (issueError) {
+      throw issueError;
+    }
+    if (!issue) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+    if (!OPEN_STATUSES.includes(issue.status)) {
+      return res.status(409).json({ error: `Cannot add work orders to a ${issue.status} issue` });
+    }
+
+    const assigneeError = await validateAssignees(fields);
+    if (assigneeError) {
+      return res.status(400).json({ error: assigneeError });
+    }
+
+    const { data: workOrder, error } = await supabaseAdmin
+      .from('work_orders')
+      .insert([{
+        ...fields,
+        issue_id: issue.id,
+        status: fields.scheduled_for ? 'scheduled' : 'open',
+        created_by: req.user.id
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    await logWorkOrderEvent(workOrder, 'work_order_created', req.user.id, { status: workOrder.status });
+    res.status(201).json(workOrder);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to create work order',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * GET /issues/:id/work-orders
+ * Role: head_authority, department_authority (own department only)
+ */
+exports.getIssueWorkOrders = async (req, res) => {
+  try {
+    const { data: issue, error: issueError } = await supabaseAdmin
+      .from('issues')
+      .select('id')
+      .eq('id', req.params.id)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (issueError) {
+      throw issueError;
+    }
+    if (!issue) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    const { data: workOrders, error } = await supabaseAdmin
+      .from('work_orders')
+      .select('*, photos:work_order_photos(*)')
+      .eq('issue_id', issue.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+    res.json(workOrders);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch work orders' });
+  }
+};
+
+/**
+ * GET /work-orders
+ * Role: field_worker (own assignments), head_authority, department_authority (own department only)
+ * Query: status (comma-separated), scheduled_for (YYYY-MM-DD)
+ */
+exports.getWorkOrders = async (req, res) => {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(',').map((status) => status.trim()) : null;
+
+    let query = supabaseAdmin
+      .from('work_orders')
+      .select(WORK_ORDER_SELECT)
+      .is('issue.deleted_at', null)
+      .order('scheduled_for', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: true });
+
+    if (statuses) {
+      query = query.in('status', statuses);
+    }
+    if (req.query.scheduled_for) {
+      query = query.eq('scheduled_for', req.query.scheduled_for);
+    }
+
+    if (req.user.role === 'field_worker') {
+      const crewIds = await getCrewIdsForUser(req.user.id);
+      const assignees = [`assignee_user_id.eq.${req.user.id}`];
+      if (crewIds.length > 0) {
+        assignees.push(`assignee_crew_id.in.(${crewIds.join(',')})`);
+      }
+      query = query.or(assignees.join(','));
+    } else if (req.user.role === 'department_authority') {
+      query = query.eq('issue.department', req.user.department);
+    }
+
+    const { data: workOrders, error } = await query;
+    if (error) {
+      throw error;
+    }
+    res.json(workOrders.map(stripDeletedAt));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch work orders' });
+  }
+};
+
+/**
+ * GET /work-orders/:id
+ * Role: field_worker (own assignments), head_authority, department_authority (own department only)
+ */
+exports.getWorkOrder = async (req, res) => {
+  try {
+    const { workOrder, status, error: accessError } = await findAccessibleWorkOrder(req);
+    if (!workOrder) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const { data: photos, error } = await supabaseAdmin
+      .from('work_order_photos')
+      .select('*')
+      .eq('work_order_id', workOrder.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+    res.json({ ...workOrder, photos });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch work order' });
+  }
+};
+
+/**
+ * PATCH /work-orders/:id
+ * Role: head_authority, department_authority (own department only): any field and status
+ *       field_worker (own assignments): status only (start and complete)
+ * Body: { status?, title?, assignee_user_id?, assignee_crew_id?, scheduled_for?, estimated_cost?, materials_notes? }
+ * Completing the last open work order on an issue asks its department to resolve it.
+ */
+exports.updateWorkOrder = async (req, res) => {
+  try {
+    const { workOrder, status: accessStatus, error: accessError } = await findAccessibleWorkOrder(req);
+    if (!workOrder) {
+      return res.status(accessStatus).json({ error: accessError });
+    }
+
+    const { status, ...rest } = req.body;
+    const isWorker = req.user.role === 'field_worker';
+    const { fields, errors } = parseWorkOrderFields(rest);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid work order', details: errors });
+    }
+    if (isWorker && Object.keys(fields).length > 0) {
+      return res.status(403).json({ error: 'Field workers can only change the status of a work order' });
+    }
+    if (status === undefined && Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const updateData = { ...fields, updated_at: new Date().toISOString() };
+    if (status !== undefined && status !== workOrder.status) {
+      const check = validateWorkOrderTransition(workOrder.status, status, req.user.role);
+      if (!check.ok) {
+        return res.status(check.status).json({
+          error: check.error,
+          code: check.code,
+          allowed_transitions: check.allowed
+        });
+      }
+      updateData.status = status;
+      updateData.completed_at = status === 'completed' ? new Date().toISOString() : null;
+    }
+
+    const assigneeError = await validateAssignees(fields);
+    if (assigneeError) {
+      return res.status(400).json({ error: assigneeError });
+    }
+
+    const { data: updatedWorkOrder, error } = await supabaseAdmin
+      .from('work_orders')
+      .update(updateData)
+      .eq('id', workOrder.id)
+      // Two people finishing the same job at once should not both win
+      .eq('status', workOrder.status)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!updatedWorkOrder) {
+      return res.status(409).json({ error: 'Work order was changed by someone else, please reload it' });
+    }
+
+    if (updateData.status) {
+      await logWorkOrderEvent(updatedWorkOrder, 'work_order_status', req.user.id, {
+        old_status: workOrder.status,
+        new_status: updatedWorkOrder.status
+      });
+    }
+
+    let issueReadyToResolve = false;
+    if (updateData.status === 'completed' && OPEN_STATUSES.includes(workOrder.issue.status)
+      && await allWorkOrdersCompleted(workOrder.issue_id)) {
+      issueReadyToResolve = true;
+      await logWorkOrderEvent(updatedWorkOrder, 'work_orders_completed', req.user.id);
+      notifyWorkOrdersCompleted(workOrder.issue, req.user.id);
+    }
+
+    res.json({ ...updatedWorkOrder, issue_ready_to_resolve: issueReadyToResolve });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to update work order',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * POST /work-orders/:id/photos
+ * Role: field_worker (own assignments), head_authority, department_authority (own department only)
+ * Body: { image_ref, note? } where image_ref comes from POST /uploads
+ */
+exports.addWorkOrderPhoto = async (req, res) => {
+  try {
+    const { image_ref, note } = req.body;
+    if (!image_ref) {
+      return res.status(400).json({ error: 'Missing field: image_ref' });
+    }
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_PHOTO_NOTE_LENGTH)) {
+      return res.status(400).json({ error: `note must be a string of at most ${MAX_PHOTO_NOTE_LENGTH} characters` });
+    }
+
+    const { workOrder, status, error: accessError } = await findAccessibleWorkOrder(req);
+    if (!workOrder) {
+      return res.status(status).json({ error: accessError });
+    }
+    if (['completed', 'cancelled'].includes(workOrder.status)) {
+      return res.status(409).json({ error: `Cannot add photos to a ${workOrder.status} work order` });
+    }
+
+    let image;
+    try {
+      image = resolveImageRef(image_ref, req.user.id);
+    } catch (refError) {
+      return res.status(refError.status || 400).json({ error: refError.message });
+    }
+
+    const { data: photo, error } = await supabaseAdmin
+      .from('work_order_photos')
+      .insert([{
+        work_order_id: workOrder.id,
+        image_url: image.image_url,
+        image_path: image.path,
+        image_mime_type: image.mime_type,
+        note: note ? note.trim() : null,
+        uploaded_by: req.user.id
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+    res.status(201).json(photo);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to add work order photo',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * GET /work-orders/crews
+ * Role: head_authority, department_authority
+ */
+exports.getCrews = async (req, res) => {
+  try {
+    const { data: crews, error } = await supabaseAdmin
+      .from('crews')
+      .select('*, members:crew_members(user_id)')
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+    res.json(crews.map((crew) => ({ ...crew, members: crew.members.map((member) => member.user_id) })));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch crews' });
+  }
+};
+
+/**
+ * POST /work-orders/crews
+ * Role: head_authority
+ * Body: { name, department? }
+ */
+exports.createCrew = async (req, res) => {
+  try {
+    const { name, department } = req.body;
+    if (typeof name !== 'string' || name.trim() === '') {
+      return res.status(400).json({ error: 'Missing field: name' });
+    }
+
+    const { data: crew, error } = await supabaseAdmin
+      .from('crews')
+      .insert([{ name: name.trim(), department: department || null }])
+      .select()
+      .single();
+
+    if (error) {
+      // 23505 = unique_violation
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A crew with this name already exists' });
+      }
+      throw error;
+    }
+    res.status(201).json(crew);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to create crew',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
+
+/**
+ * PUT /work-orders/crews/:crewId/members
+ * Role: head_authority
+ * Body: { user_ids } replaces the crew's members. Every user must be a field worker.
+ */
+exports.setCrewMembers = async (req, res) => {
+  try {
+    const uniqueIds = [...new Set(req.body.user_ids)];
+
+    const { data: crew, error: crewError } = await supabaseAdmin
+      .from('crews')
+      .select('id')
+      .eq('id', req.params.crewId)
+      .maybeSingle();
+
+    if (crewError) {
+      throw crewError;
+    }
+    if (!crew) {
+      return res.status(404).json({ error: 'Crew not found' });
+    }
+
+    const [invalidId] = await findNonFieldWorkers(uniqueIds);
+    if (invalidId) {
+      return res.status(400).json({ error: `${invalidId} is not a field worker` });
+    }
+
+    // Add before removing, so a failure part way leaves the old members in place rather than an empty crew
+    if (uniqueIds.length > 0) {
+      const { error } = await supabaseAdmin
+        .from('crew_members')
+        .upsert(uniqueIds.map((userId) => ({ crew_id: crew.id, user_id: userId })), {
+          onConflict: 'crew_id,user_id',
+          ignoreDuplicates: true
+        });
+
+      if (error) {
+        throw error;
+      }
+    }
+
+    let removal = supabaseAdmin
+      .from('crew_members')
+      .delete()
+      .eq('crew_id', crew.id);
+    if (uniqueIds.length > 0) {
+      removal = removal.not('user_id', 'in', `(${uniqueIds.join(',')})`);
+    }
+    const { error: deleteError } = await removal;
+
+    if (deleteError) {
+      throw deleteError;
+    }
+
+    res.json({ crew_id: crew.id, members: uniqueIds });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to update crew members',
+      details: error.message || 'Internal Server Error'
+    });
+  }
+};
@@ -0,0 +1,28 @@
+-- Duplicate detection: supporting ("+1") reports and issue merging
+
+alter table issues
+  add column if not exists support_count integer not null default 0,
+  add column if not exists merged_into uuid references issues(id);
+
+create index if not exists issues_open_location_idx
+  on issues (issue_type, status, location_lat, location_lng)
+  where merged_into is null;
+
+create table if not exists issue_reports (
+  id uuid primary key default gen_random_uuid(),
+  issue_id uuid not null references issues(id) on delete cascade,
+  citizen_id uuid references auth.users(id),
+  image_url text,
+  description text,
+  location_lat double precision,
+  location_lng double precision,
+  merged_from_issue_id uuid references issues(id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists issue_reports_issue_id_idx on issue_reports (issue_id);
+
+-- issue_logs now records more than status changes
+alter table issue_logs
+  add column if not exists action text not null default 'status_change',
+  add column if not exists details jsonb;
@@ -0,0 +1,10 @@
+-- Issue lifecycle: acknowledged, rejected, reopened and closed states
+
+alter table issues
+  add column if not exists rejection_reason text,
+  add column if not exists closed_at timestamptz;
+
+alter table issues drop constraint if exists issues_status_check;
+alter table issues
+  add constraint issues_status_check
+  check (status in ('reported', 'acknowledged', 'in_progress', 'resolved', 'rejected', 'reopened', 'closed'));
@@ -0,0 +1,9 @@
+-- Citizen verification of resolved issues
+
+alter table issues
+  add column if not exists verification_status text
+    check (verification_status in ('pending', 'confirmed', 'disputed', 'auto_closed')),
+  add column if not exists verified_at timestamptz;
+
+-- issue_logs.changed_by is null for changes made by the scheduler
+alter table issue_logs alter column changed_by drop not null;
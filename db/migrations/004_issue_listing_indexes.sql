@@ -0,0 +1,4 @@
+-- Keyset pagination for issue listings
+
+create index if not exists issues_created_at_id_idx on issues (created_at desc, id desc);
+create index if not exists issues_support_count_idx on issues (support_count desc, created_at desc, id desc);
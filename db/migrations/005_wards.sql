@@ -0,0 +1,15 @@
+-- Ward boundaries and ward tagging of issues
+
+create table if not exists wards (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  code text,
+  geometry jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+alter table issues
+  add column if not exists ward_id uuid references wards(id) on delete set null,
+  add column if not exists outside_wards boolean not null default false;
+
+create index if not exists issues_ward_id_idx on issues (ward_id);
@@ -0,0 +1,12 @@
+-- SLA deadlines and escalation
+
+alter table issues
+  add column if not exists due_at timestamptz,
+  add column if not exists sla_breached boolean not null default false,
+  add column if not exists escalated_at timestamptz,
+  add column if not exists priority integer not null default 0;
+
+-- Backfill existing issues with the default 7 day target
+update issues set due_at = created_at + interval '7 days' where due_at is null;
+
+create index if not exists issues_sla_idx on issues (sla_breached, due_at) where merged_into is null;
@@ -0,0 +1,22 @@
+-- In-app notifications and per-user channel preferences
+
+create table if not exists notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  issue_id uuid references issues(id) on delete cascade,
+  type text not null,
+  title text not null,
+  body text,
+  data jsonb,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_user_idx on notifications (user_id, created_at desc);
+
+create table if not exists notification_preferences (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  in_app boolean not null default true,
+  email boolean not null default true,
+  updated_at timestamptz not null default now()
+);
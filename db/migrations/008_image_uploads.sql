@@ -0,0 +1,10 @@
+-- Server-side image uploads
+
+alter table issues
+  add column if not exists thumbnail_url text,
+  add column if not exists image_path text,
+  add column if not exists image_mime_type text;
+
+insert into storage.buckets (id, name, public)
+values ('issue-images', 'issue-images', true)
+on conflict (id) do nothing;
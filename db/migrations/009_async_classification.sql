@@ -0,0 +1,16 @@
+-- Asynchronous AI classification
+
+alter table issues
+  add column if not exists classification_status text not null default 'completed'
+    check (classification_status in ('pending', 'processing', 'completed', 'failed')),
+  add column if not exists classification_attempts integer not null default 0,
+  add column if not exists classification_error text,
+  add column if not exists manual_issue_type text,
+  add column if not exists manual_department text;
+
+-- Issues are saved before the AI has picked a type
+alter table issues alter column issue_type drop not null;
+
+create index if not exists issues_classification_status_idx
+  on issues (classification_status)
+  where classification_status in ('pending', 'processing', 'failed');
@@ -0,0 +1,27 @@
+-- Human review of low-confidence or disputed AI classifications
+
+alter table issues
+  add column if not exists review_status text
+    check (review_status in ('pending', 'accepted', 'overridden')),
+  add column if not exists review_reasons text[],
+  add column if not exists reviewed_by uuid references auth.users(id),
+  add column if not exists reviewed_at timestamptz;
+
+create index if not exists issues_review_pending_idx
+  on issues (created_at)
+  where review_status = 'pending';
+
+-- One row per review decision, used to track override rates per AI category
+create table if not exists classification_reviews (
+  id bigint generated always as identity primary key,
+  issue_id uuid not null references issues(id) on delete cascade,
+  ai_issue_type text,
+  manual_issue_type text,
+  final_issue_type text not null,
+  action text not null check (action in ('accept', 'override')),
+  reasons text[] not null default '{}',
+  reviewed_by uuid references auth.users(id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists classification_reviews_created_idx on classification_reviews (created_at);
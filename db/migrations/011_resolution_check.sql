@@ -0,0 +1,18 @@
+-- AI before/after comparison of resolution photos
+
+alter table issues
+  add column if not exists resolved_image_path text,
+  add column if not exists resolved_image_mime_type text,
+  add column if not exists resolution_check_status text
+    check (resolution_check_status in ('pending', 'processing', 'completed', 'failed', 'skipped')),
+  add column if not exists resolution_check_attempts integer not null default 0,
+  add column if not exists resolution_verdict text
+    check (resolution_verdict in ('fixed', 'not_fixed', 'different_scene', 'uncertain')),
+  add column if not exists resolution_confidence numeric,
+  add column if not exists resolution_analysis jsonb,
+  add column if not exists resolution_review_status text
+    check (resolution_review_status in ('pending', 'accepted'));
+
+create index if not exists issues_resolution_review_pending_idx
+  on issues (created_at)
+  where resolution_review_status = 'pending';
@@ -0,0 +1,44 @@
+-- Citizen engagement on public issues: "me too" votes, comments and follows
+
+alter table issues
+  add column if not exists vote_count integer not null default 0,
+  add column if not exists comment_count integer not null default 0;
+
+-- Used to sort authority queues: community interest plus SLA escalation level
+alter table issues
+  add column if not exists priority_score integer
+    generated always as (vote_count + 2 * support_count + 10 * priority) stored;
+
+create index if not exists issues_priority_score_idx
+  on issues (priority_score desc, created_at desc, id desc)
+  where merged_into is null;
+
+create table if not exists issue_votes (
+  issue_id uuid not null references issues(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (issue_id, user_id)
+);
+
+create table if not exists issue_comments (
+  id uuid primary key default gen_random_uuid(),
+  issue_id uuid not null references issues(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  author_role text not null,
+  is_official boolean not null default false,
+  body text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  deleted_at timestamptz
+);
+
+create index if not exists issue_comments_issue_idx on issue_comments (issue_id, created_at);
+
+create table if not exists issue_follows (
+  issue_id uuid not null references issues(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (issue_id, user_id)
+);
+
+create index if not exists issue_follows_user_idx on issue_follows (user_id);
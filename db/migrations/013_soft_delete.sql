@@ -0,0 +1,32 @@
+-- Soft deletes with an audit trail; rows are purged after a retention period
+
+alter table issues
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references auth.users(id),
+  add column if not exists delete_reason text;
+
+create index if not exists issues_deleted_at_idx on issues (deleted_at) where deleted_at is not null;
+
+-- Not tied to issues by a foreign key so entries outlive the purge
+create table if not exists audit_log (
+  id bigint generated always as identity primary key,
+  entity_type text not null,
+  entity_id uuid not null,
+  action text not null,
+  actor_id uuid references auth.users(id),
+  reason text,
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_entity_idx on audit_log (entity_type, entity_id, created_at);
+
+-- Purging an issue takes the duplicates merged into it along, and keeps split-out reports
+alter table issues drop constraint if exists issues_merged_into_fkey;
+alter table issues
+  add constraint issues_merged_into_fkey foreign key (merged_into) references issues(id) on delete cascade;
+
+alter table issue_reports drop constraint if exists issue_reports_merged_from_issue_id_fkey;
+alter table issue_reports
+  add constraint issue_reports_merged_from_issue_id_fkey
+    foreign key (merged_from_issue_id) references issues(id) on delete set null;
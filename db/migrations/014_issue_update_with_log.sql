@@ -0,0 +1,55 @@
+-- Updates an issue and writes its issue_logs entry in one transaction, so an
+-- update never lands without its history (or the other way round).
+-- old_status/new_status are taken from the row itself. Returns no row if the issue does not exist,
+-- or if p_expected_status is given and the issue has since moved to another status.
+
+create or replace function update_issue_with_log(
+  p_issue_id uuid,
+  p_changes jsonb,
+  p_action text,
+  p_changed_by uuid default null,
+  p_details jsonb default null,
+  p_resolved_image_url text default null,
+  p_expected_status text default null
+)
+returns setof issues
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_old_status text;
+  v_assignments text;
+  v_issue issues;
+begin
+  select status into v_old_status from issues where id = p_issue_id for update;
+  if not found then
+    return;
+  end if;
+  if p_expected_status is not null and v_old_status is distinct from p_expected_status then
+    return;
+  end if;
+
+  if p_changes is not null and p_changes <> '{}'::jsonb then
+    select string_agg(format('%I = r.%I', key, key), ', ')
+      into v_assignments
+      from jsonb_object_keys(p_changes) as key;
+
+    execute format(
+      'update issues i set %s from jsonb_populate_record(null::issues, $1) r where i.id = $2 returning i.*',
+      v_assignments
+    ) into v_issue using p_changes, p_issue_id;
+  else
+    select * into v_issue from issues where id = p_issue_id;
+  end if;
+
+  insert into issue_logs (issue_id, old_status, new_status, changed_by, action, details, resolved_image_url)
+  values (p_issue_id, v_old_status, v_issue.status, p_changed_by, p_action, p_details, p_resolved_image_url);
+
+  return next v_issue;
+end;
+$$;
+
+revoke all on function update_issue_with_log(uuid, jsonb, text, uuid, jsonb, text, text) from public, anon, authenticated;
+
+create index if not exists issue_logs_issue_created_idx on issue_logs (issue_id, created_at, id);
@@ -0,0 +1,52 @@
+-- Internal work orders: the repair jobs behind an issue, assigned to a crew or a single field worker.
+-- Field workers are profiles with role 'field_worker'.
+
+create table if not exists crews (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  department text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists crew_members (
+  crew_id uuid not null references crews(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (crew_id, user_id)
+);
+
+create index if not exists crew_members_user_idx on crew_members (user_id);
+
+create table if not exists work_orders (
+  id uuid primary key default gen_random_uuid(),
+  issue_id uuid not null references issues(id) on delete cascade,
+  title text not null,
+  status text not null default 'open'
+    check (status in ('open', 'scheduled', 'in_progress', 'completed', 'cancelled')),
+  assignee_user_id uuid references auth.users(id) on delete set null,
+  assignee_crew_id uuid references crews(id) on delete set null,
+  scheduled_for date,
+  estimated_cost numeric(12, 2) check (estimated_cost is null or estimated_cost >= 0),
+  materials_notes text,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  completed_at timestamptz
+);
+
+create index if not exists work_orders_issue_idx on work_orders (issue_id, created_at);
+create index if not exists work_orders_assignee_user_idx on work_orders (assignee_user_id, status);
+create index if not exists work_orders_assignee_crew_idx on work_orders (assignee_crew_id, status);
+
+create table if not exists work_order_photos (
+  id uuid primary key default gen_random_uuid(),
+  work_order_id uuid not null references work_orders(id) on delete cascade,
+  image_url text not null,
+  image_path text not null,
+  image_mime_type text,
+  note text,
+  uploaded_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists work_order_photos_order_idx on work_order_photos (work_order_id, created_at);
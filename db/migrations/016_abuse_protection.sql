@@ -0,0 +1,28 @@
+-- Abuse protection for reporting: automatic cooldowns after repeated "not a civic issue"
+-- rejections, abuse flags for the head authority, and manual suspension of reporters.
+
+alter table profiles
+  add column if not exists reporting_cooldown_until timestamptz,
+  add column if not exists abuse_strikes integer not null default 0,
+  add column if not exists suspended_at timestamptz,
+  add column if not exists suspended_until timestamptz,
+  add column if not exists suspended_by uuid references auth.users(id) on delete set null,
+  add column if not exists suspension_reason text;
+
+create table if not exists abuse_flags (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  kind text not null check (kind in ('repeated_rejections')),
+  details jsonb,
+  created_at timestamptz not null default now(),
+  reviewed_by uuid references auth.users(id) on delete set null,
+  reviewed_at timestamptz
+);
+
+create index if not exists abuse_flags_open_idx on abuse_flags (created_at desc) where reviewed_at is null;
+create index if not exists abuse_flags_user_idx on abuse_flags (user_id, created_at desc);
+
+-- Counting a reporter's recent rejections
+create index if not exists issues_citizen_created_idx on issues (citizen_id, created_at desc);
+
+-- Suspensions are recorded in the audit log under entity_type 'user'
@@ -0,0 +1,51 @@
+-- Recomputes issues.vote_count and issues.comment_count inside the database. Counting in
+-- the API and writing the number back lost updates when votes or comments arrived together:
+-- each request could write a count taken before the other one's row existed.
+-- The issue row is locked before counting, so the count is taken after any concurrent
+-- refresh has committed and the last writer always stores the full count.
+-- Both return the updated issue, or no row if it does not exist.
+
+create or replace function refresh_issue_vote_count(p_issue_id uuid)
+returns setof issues
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform 1 from issues where id = p_issue_id for update;
+  if not found then
+    return;
+  end if;
+
+  return query
+    update issues
+       set vote_count = (select count(*) from issue_votes where issue_id = p_issue_id)
+     where id = p_issue_id
+    returning *;
+end;
+$$;
+
+create or replace function refresh_issue_comment_count(p_issue_id uuid)
+returns setof issues
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform 1 from issues where id = p_issue_id for update;
+  if not found then
+    return;
+  end if;
+
+  return query
+    update issues
+       set comment_count = (
+         select count(*) from issue_comments where issue_id = p_issue_id and deleted_at is null
+       )
+     where id = p_issue_id
+    returning *;
+end;
+$$;
+
+revoke all on function refresh_issue_vote_count(uuid) from public, anon, authenticated;
+revoke all on function refresh_issue_comment_count(uuid) from public, anon, authenticated;
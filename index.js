@@ -1,39 +1,17 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const morgan = require('morgan');
 require('dotenv').config();
 
-const issueRoutes = require('./routes/issueRoutes');
+const app = require('./app');
+const { startScheduler } = require('./services/scheduler');
+const { resumePendingClassifications } = require('./services/classificationQueue');
+const { resumePendingResolutionChecks } = require('./services/resolutionCheck');
 
-const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Middlewares
-app.use(helmet()); // Security headers
-app.use(cors()); // Enable CORS
-app.use(morgan('dev')); // Logging
-app.use(express.json()); // Parse JSON bodies
-
-// Health Check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date() });
-});
-
-// Routes
-app.use('/issues', issueRoutes); // General/Road/Head routes
-
-// Error Handling Middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ 
-    error: 'Internal Server Error',
-    message: process.env.NODE_ENV === 'development' ? err.message : undefined
-  });
-});
-
 // Start Server
 app.listen(PORT, () => {
   console.log(`🚀 CivicLens Backend running on port ${PORT}`);
   console.log(`👉 Environment: ${process.env.NODE_ENV || 'development'}`);
+  startScheduler();
+  resumePendingClassifications();
+  resumePendingResolutionChecks();
 });
@@ -1,4 +1,18 @@
 const { supabase, supabaseAdmin } = require('../config/supabase');
+const { getReportingStanding } = require('../services/abuse');
+
+/**
+ * Maps the free-form role stored on a profile or in user metadata to one of
+ * citizen, head_authority, department_authority or field_worker.
+ */
+const normalizeRole = (role) => {
+  if (!role) return 'citizen';
+  const r = role.toLowerCase().replace(/[-_ ]/g, '').trim();
+  if (r === 'headauthority' || r === 'authorityhead' || r === 'admin') return 'head_authority';
+  if (r === 'departmentauthority' || r === 'deptauthority' || r === 'authority') return 'department_authority';
+  if (r === 'fieldworker' || r === 'crewmember' || r === 'crew') return 'field_worker';
+  return 'citizen';
+};
 
 /**
  * Middleware to verify Supabase JWT and attach user profile to request
@@ -17,10 +31,7 @@ const authenticate = async (req, res, next) => {
     
     if (authError || !user) {
       console.error('Auth Middleware: Token verification failed:', authError?.message || 'No user found');
-      return res.status(401).json({ 
-        error: 'Invalid or expired token',
-        details: authError?.message 
-      });
+      return res.status(401).json({ error: 'Invalid or expired token' });
     }
 
     // 2. Fetch the user's role and details from our profiles table
@@ -36,13 +47,6 @@ const authenticate = async (req, res, next) => {
     }
 
     // 3. Construct the user object with normalized role
-    const normalizeRole = (role) => {
-      if (!role) return 'citizen';
-      const r = role.toLowerCase().replace(/[-_ ]/g, '').trim();
-      if (r === 'headauthority' || r === 'authorityhead' || r === 'admin') return 'head_authority';
-      return 'citizen';
-    };
-
     let finalRole = 'citizen';
     let userDepartment = null;
 
@@ -80,20 +84,142 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware for public routes that show more to signed-in users:
+ * authenticates when an Authorization header is sent, otherwise continues anonymously.
+ */
+const optionalAuthenticate = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return authenticate(req, res, next);
+};
+
+/**
+ * Middleware for Server-Sent Events routes: browsers' EventSource cannot send headers,
+ * so the token may come as ?access_token= instead. It is redacted from the URL that
+ * gets logged. Must run before authenticate/optionalAuthenticate.
+ */
+const acceptQueryToken = (req, res, next) => {
+  const token = req.query.access_token;
+  if (!req.headers.authorization && typeof token === 'string' && token !== '') {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  req.originalUrl = req.originalUrl.replace(/([?&]access_token=)[^&]*/, '$1[redacted]');
+  next();
+};
+
 /**
  * Middleware to authorize based on user roles
  * @param {string[]} allowedRoles - Array of roles allowed to access the route
+ * @param {Function} [resourceCheck] - Optional async (req) => boolean run after the role check
+ *   for resource-level access (e.g. department scoping)
  */
-const authorize = (allowedRoles) => {
-  return (req, res, next) => {
+const authorize = (allowedRoles, resourceCheck) => {
+  return async (req, res, next) => {
     console.log(`Authorize: User Role: ${req.user?.role}, Allowed: ${allowedRoles}`);
     if (!req.user || !allowedRoles.includes(req.user.role)) {
       return res.status(403).json({ 
         error: `Unauthorized: Role '${req.user?.role || 'unknown'}' does not have access.` 
       });
     }
-    next();
+
+    if (!resourceCheck) {
+      return next();
+    }
+
+    try {
+      const allowed = await resourceCheck(req);
+      if (!allowed) {
+        return res.status(403).json({ 
+          error: 'Unauthorized: You do not have access to this resource.' 
+        });
+      }
+      next();
+    } catch (error) {
+      console.error('Authorize: Resource check failed:', error);
+      res.status(500).json({ error: 'Authorization failed' });
+    }
   };
 };
 
-module.exports = { authenticate, authorize };
+/**
+ * Resource check for authorize(): head authorities may act on any issue,
+ * department authorities only on issues routed to their own department.
+ * Missing issues pass through so the controller can answer with a 404.
+ */
+const canAccessIssueDepartment = async (req) => {
+  if (req.user.role === 'head_authority') return true;
+
+  const { data: issue, error } = await supabaseAdmin
+    .from('issues')
+    .select('id, department')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!issue) return true;
+
+  return Boolean(req.user.department) && issue.department === req.user.department;
+};
+
+/**
+ * Resource check for authorize(): only the citizen who filed the issue may act on it.
+ * Missing issues pass through so the controller can answer with a 404.
+ */
+const isIssueReporter = async (req) => {
+  const { data: issue, error } = await supabaseAdmin
+    .from('issues')
+    .select('id, citizen_id')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!issue) return true;
+
+  return issue.citizen_id === req.user.id;
+};
+
+/**
+ * Resource check for authorize(): citizens may comment on any issue, authorities
+ * (whose comments are official replies) only where canAccessIssueDepartment allows.
+ */
+const canCommentOnIssue = async (req) => (
+  req.user.role === 'citizen' || canAccessIssueDepartment(req)
+);
+
+/**
+ * Middleware that keeps suspended reporters and reporters on an abuse cooldown
+ * (see services/abuse.js) from filing issues or commenting. Must run after authenticate.
+ * Authorities are never held back.
+ */
+const checkReporterStanding = (req, res, next) => {
+  if (req.user.role !== 'citizen') {
+    return next();
+  }
+
+  const standing = getReportingStanding(req.user);
+  if (standing.reason === 'suspended') {
+    return res.status(403).json({
+      error: 'Your account is suspended from reporting issues and commenting',
+      code: 'REPORTER_SUSPENDED',
+      details: { until: standing.until, reason: req.user.suspension_reason || null }
+    });
+  }
+  if (standing.reason === 'cooldown') {
+    const retryAfterSeconds = Math.max(1, Math.ceil((new Date(standing.until) - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({
+      error: 'Too many of your recent reports were rejected as not civic issues, please try again later',
+      code: 'REPORTING_COOLDOWN',
+      details: { until: standing.until }
+    });
+  }
+  next();
+};
+
+module.exports = { normalizeRole, authenticate, optionalAuthenticate, acceptQueryToken, authorize, canAccessIssueDepartment, isIssueReporter, canCommentOnIssue, checkReporterStanding };
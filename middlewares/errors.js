@@ -0,0 +1,128 @@
+/**
+ * One error envelope for every response with a 4xx/5xx status:
+ *   { error: string, code: string, details?: any }
+ * error is a human-readable message, code a stable machine-readable identifier.
+ * Server errors never carry database or provider messages to the client.
+ */
+
+// Default code per HTTP status, used when a handler does not name a more specific one
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// Our codes are SCREAMING_SNAKE_CASE; Postgres/PostgREST codes like '23505' or 'PGRST116' are not passed on
+const API_CODE_PATTERN = /^[A-Z][A-Z0-9]*(_[A-Z0-9]+)+$|^[A-Z]+$/;
+
+const IS_DEVELOPMENT = process.env.NODE_ENV === 'development';
+
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} message - Shown to the client
+   * @param {Object} [options] - { code, details }
+   */
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || ERROR_CODES[status];
+    this.details = details;
+  }
+}
+
+/**
+ * 400 for invalid input found outside the route schemas, e.g. in services/issueQuery.js.
+ */
+const badRequest = (message) => new ApiError(400, message);
+
+const codeFor = (status) => ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+const isApiCode = (code) => typeof code === 'string' && API_CODE_PATTERN.test(code) && !code.startsWith('PGRST');
+
+/**
+ * Brings an error body into the envelope. Client errors keep their extra fields
+ * (e.g. allowed_transitions); server errors are reduced to a generic message and code.
+ */
+const toEnvelope = (req, status, body) => {
+  const source = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+  const message = typeof source.error === 'string' ? source.error : (source.message || 'Request failed');
+
+  if (status >= 500) {
+    const { error, code, ...internal } = source;
+    if (Object.keys(internal).length > 0) {
+      console.error(`${req.method} ${req.originalUrl} failed:`, internal);
+    }
+    return {
+      error: message,
+      code: isApiCode(code) ? code : codeFor(status),
+      // Only local development gets to see what went wrong underneath
+      ...(IS_DEVELOPMENT && internal.details !== undefined ? { details: internal.details } : {})
+    };
+  }
+
+  // message and hint are Supabase error fields that never belong in a client error
+  const { error, code, message: _message, hint: _hint, ...rest } = source;
+  return { error: message, code: isApiCode(code) ? code : codeFor(status), ...rest };
+};
+
+/**
+ * Middleware that puts every error response written with res.json() into the envelope,
+ * including the ones controllers send themselves.
+ */
+const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode >= 400 ? toEnvelope(req, res.statusCode, body) : body);
+  next();
+};
+
+/**
+ * Fallback for requests that matched no route.
+ */
+const notFoundHandler = (req, res) => {
+  res.status(404).json({ error: `Route not found: ${req.method} ${req.path}`, code: 'ROUTE_NOT_FOUND' });
+};
+
+/**
+ * Central error middleware. Handles ApiErrors, errors carrying an HTTP status
+ * (service and upload errors), body parser failures and anything unexpected.
+ */
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  const status = Number.isInteger(err.status) && err.status >= 400 && err.status < 600 ? err.status : 500;
+  if (status < 500) {
+    return res.status(status).json({
+      error: err.message,
+      code: isApiCode(err.code) ? err.code : codeFor(status),
+      ...(err.details !== undefined ? { details: err.details } : {})
+    });
+  }
+
+  console.error(err.stack || err);
+  res.status(status).json({
+    error: err instanceof ApiError ? err.message : 'Internal Server Error',
+    code: isApiCode(err.code) ? err.code : codeFor(status),
+    ...(IS_DEVELOPMENT ? { details: err.message } : {})
+  });
+};
+
+module.exports = { ERROR_CODES, ApiError, badRequest, errorEnvelope, notFoundHandler, errorHandler };
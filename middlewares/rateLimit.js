@@ -0,0 +1,80 @@
+const { getBudget } = require('../config/rateLimits');
+
+// Request timestamps per limiter and key, kept in memory (one server process)
+const hits = new Map();
+
+const recentHits = (key, windowMs, now) => (hits.get(key) || []).filter((timestamp) => timestamp > now - windowMs);
+
+const resolveBudget = (budget) => (typeof budget === 'string'
+  ? getBudget(budget)
+  : { name: budget.name, user: { max: budget.max, windowMs: budget.windowMs }, ip: null });
+
+// Both the account and the address have to be within budget; a request counts against both
+const checksFor = ({ name, user, ip }, req) => {
+  const checks = [];
+  if (req.user?.id && user) checks.push({ key: `${name}:user:${req.user.id}`, ...user });
+  if (ip) checks.push({ key: `${name}:ip:${req.ip}`, ...ip });
+  else if (!req.user?.id && user) checks.push({ key: `${name}:ip:${req.ip}`, ...user });
+  return checks;
+};
+
+/**
+ * Middleware to cap how often a caller may hit a route (sliding window).
+ * Must run after authenticate where there is one; anonymous callers are counted per IP.
+ * @param {string|Object|Array} budgets - A budget name from config/rateLimits.js, or
+ *   { name, max, windowMs } for a one-off per-user limit, or a list of these. Every budget
+ *   in a list is checked before any is used, so a request refused by one costs none of the others.
+ */
+const rateLimit = (budgets) => {
+  const limits = [].concat(budgets).map(resolveBudget);
+
+  return (req, res, next) => {
+    const now = Date.now();
+
+    const checks = limits.flatMap((limit) => checksFor(limit, req));
+
+    const states = checks.map((check) => ({ ...check, recent: recentHits(check.key, check.windowMs, now) }));
+    const exceeded = states.filter((state) => state.recent.length >= state.max);
+
+    if (exceeded.length > 0) {
+      const retryAfterSeconds = Math.max(...exceeded.map((state) => Math.ceil((state.recent[0] + state.windowMs - now) / 1000)));
+      const limit = exceeded[0];
+      exceeded.forEach((state) => hits.set(state.key, state.recent));
+      res.set('Retry-After', String(retryAfterSeconds));
+      res.set('RateLimit-Limit', String(limit.max));
+      res.set('RateLimit-Remaining', '0');
+      res.set('RateLimit-Reset', String(retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too many requests, please slow down',
+        code: 'RATE_LIMITED',
+        details: `Limit is ${limit.max} per ${Math.round(limit.windowMs / 1000)} seconds`
+      });
+    }
+
+    for (const state of states) {
+      state.recent.push(now);
+      hits.set(state.key, state.recent);
+    }
+
+    // Report the tightest of the limits that apply
+    const tightest = states.reduce((min, state) => (
+      !min || state.max - state.recent.length < min.max - min.recent.length ? state : min
+    ), null);
+    if (tightest) {
+      res.set('RateLimit-Limit', String(tightest.max));
+      res.set('RateLimit-Remaining', String(tightest.max - tightest.recent.length));
+      res.set('RateLimit-Reset', String(Math.ceil((tightest.recent[0] + tightest.windowMs - now) / 1000)));
+    }
+    next();
+  };
+};
+
+// Drop keys whose window has long passed so the map does not grow forever (windows up to a day are supported)
+setInterval(() => {
+  const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+  for (const [key, timestamps] of hits) {
+    if (timestamps[timestamps.length - 1] < cutoff) hits.delete(key);
+  }
+}, 10 * 60 * 1000).unref();
+
+module.exports = { rateLimit };
@@ -0,0 +1,30 @@
+const multer = require('multer');
+const { MAX_UPLOAD_BYTES } = require('../services/uploads');
+
+// Files are kept in memory: they are sanitized and re-encoded before anything is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+/**
+ * Middleware to accept a single image file in the given multipart field
+ * @param {string} field - Form field name
+ */
+const singleImage = (field) => {
+  return (req, res, next) => {
+    upload.single(field)(req, res, (err) => {
+      if (!err) return next();
+
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ 
+          error: `File too large. Maximum size is ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))} MB` 
+        });
+      }
+      console.error('Upload Middleware Error:', err);
+      res.status(400).json({ error: 'Invalid upload', details: err.message });
+    });
+  };
+};
+
+module.exports = { singleImage };
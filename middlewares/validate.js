@@ -0,0 +1,162 @@
+const { ApiError } = require('./errors');
+
+/**
+ * Small declarative schemas for request params, query and body.
+ *
+ * A schema is an object of field rules, e.g.
+ *   { id: t.uuid(), limit: t.integer({ min: 1 }).optional(), status: t.oneOf(STATUSES) }
+ * Rules return the normalized value (trimmed strings, numbers parsed from query strings),
+ * which replaces the raw body field. Query and params are only checked.
+ * Fields not named in a schema are left alone.
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const fail = (message) => ({ error: message });
+
+/**
+ * Wraps a check (value, field) => { value } | { error } with optional/nullable handling.
+ * Missing means undefined, null (unless nullable) or a blank string.
+ */
+const rule = (check, flags = {}) => ({
+  optional: () => rule(check, { ...flags, optional: true }),
+  nullable: () => rule(check, { ...flags, nullable: true }),
+  run: (value, field) => {
+    if (value === null && flags.nullable) return { value: null };
+    const missing = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    if (missing) {
+      return flags.optional ? { value: undefined } : fail(`Missing field: ${field}`);
+    }
+    return check(value, field);
+  }
+});
+
+const toNumber = (value) => (typeof value === 'string' ? Number(value.trim()) : value);
+
+const t = {
+  string: ({ max, pattern, description } = {}) => rule((value, field) => {
+    if (typeof value !== 'string') return fail(`Invalid field: ${field} must be a string`);
+    const trimmed = value.trim();
+    if (max !== undefined && trimmed.length > max) return fail(`Invalid field: ${field} must be at most ${max} characters`);
+    if (pattern && !pattern.test(trimmed)) return fail(`Invalid field: ${field} must be ${description || `in the format ${pattern}`}`);
+    return { value: trimmed };
+  }),
+
+  uuid: () => rule((value, field) => (
+    typeof value === 'string' && UUID_PATTERN.test(value) ? { value } : fail(`Invalid field: ${field} must be a UUID`)
+  )),
+
+  oneOf: (values) => rule((value, field) => (
+    values.includes(value) ? { value } : fail(`Invalid field: ${field} must be one of: ${values.join(', ')}`)
+  )),
+
+  /**
+   * Comma-separated list in a query string, e.g. status=reported,acknowledged
+   */
+  csvOf: (values) => rule((value, field) => {
+    const items = String(value).split(',').map((item) => item.trim());
+    const invalid = items.find((item) => !values.includes(item));
+    return invalid === undefined ? { value } : fail(`Invalid field: ${field} contains '${invalid}', must be one of: ${values.join(', ')}`);
+  }),
+
+  number: ({ min, max, integer = false } = {}) => rule((value, field) => {
+    const number = toNumber(value);
+    if (typeof number !== 'number' || !Number.isFinite(number) || (integer && !Number.isInteger(number))) {
+      return fail(`Invalid field: ${field} must be ${integer ? 'an integer' : 'a number'}`);
+    }
+    if ((min !== undefined && number < min) || (max !== undefined && number > max)) {
+      const range = min !== undefined && max !== undefined ? `between ${min} and ${max}` : (min !== undefined ? `at least ${min}` : `at most ${max}`);
+      return fail(`Invalid field: ${field} must be ${range}`);
+    }
+    return { value: number };
+  }),
+
+  boolean: () => rule((value, field) => {
+    if (typeof value === 'boolean') return { value };
+    if (value === 'true' || value === 'false') return { value: value === 'true' };
+    return fail(`Invalid field: ${field} must be a boolean`);
+  }),
+
+  date: () => rule((value, field) => (
+    typeof value === 'string' && !Number.isNaN(new Date(value).getTime())
+      ? { value }
+      : fail(`Invalid field: ${field} must be a date`)
+  )),
+
+  array: (item, { min = 0, max } = {}) => rule((value, field) => {
+    if (!Array.isArray(value)) return fail(`Invalid field: ${field} must be an array`);
+    if (value.length < min) return fail(min === 1 ? `Invalid field: ${field} must not be empty` : `Invalid field: ${field} must have at least ${min} items`);
+    if (max !== undefined && value.length > max) return fail(`Invalid field: ${field} must have at most ${max} items`);
+
+    const values = [];
+    for (let i = 0; i < value.length; i++) {
+      const result = item.run(value[i], `${field}[${i}]`);
+      if (result.error) return result;
+      values.push(result.value);
+    }
+    return { value: values };
+  }),
+
+  /**
+   * A nested object, checked against its own schema when one is given.
+   */
+  object: (schema) => rule((value, field) => {
+    if (typeof value !== 'object' || Array.isArray(value)) return fail(`Invalid field: ${field} must be an object`);
+    if (!schema) return { value };
+    const { values, errors } = checkSchema(schema, value, `${field}.`);
+    return errors.length > 0 ? fail(errors[0].message) : { value: { ...value, ...values } };
+  })
+};
+
+/**
+ * Runs every rule of a schema against an object.
+ * @returns {{ values: Object, errors: Array<{ field: string, message: string }> }}
+ */
+const checkSchema = (schema, input = {}, prefix = '') => {
+  const values = {};
+  const errors = [];
+  for (const [field, fieldRule] of Object.entries(schema)) {
+    const result = fieldRule.run(input[field], `${prefix}${field}`);
+    if (result.error) {
+      errors.push({ field: `${prefix}${field}`, message: result.error });
+    } else if (result.value !== undefined) {
+      values[field] = result.value;
+    }
+  }
+  return { values, errors };
+};
+
+/**
+ * Middleware validating req.params, req.query and req.body against schemas.
+ * Failures go to the central error handler as 400 VALIDATION_FAILED with one entry per problem.
+ * @param {Object} schemas - { params?, query?, body? }
+ */
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of ['params', 'query', 'body']) {
+    if (!schemas[location]) continue;
+
+    if (location === 'body' && (req.body === undefined || typeof req.body !== 'object' || Array.isArray(req.body))) {
+      // A body-less request is checked as an empty object, so required fields are reported by name
+      if (req.body !== undefined && req.body !== null) {
+        errors.push({ location, field: '', message: 'Request body must be a JSON object' });
+        continue;
+      }
+      req.body = {};
+    }
+
+    const { values, errors: locationErrors } = checkSchema(schemas[location], req[location]);
+    errors.push(...locationErrors.map((error) => ({ location, ...error })));
+    if (location === 'body' && locationErrors.length === 0) {
+      Object.assign(req.body, values);
+    }
+  }
+
+  if (errors.length > 0) {
+    return next(new ApiError(400, errors[0].message, { code: 'VALIDATION_FAILED', details: errors }));
+  }
+  next();
+};
+
+module.exports = { UUID_PATTERN, t, checkSchema, validate };
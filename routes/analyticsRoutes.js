@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analyticsController');
+const { authenticate, authorize } = require('../middlewares/auth');
+
+// All analytics are for head authorities only
+router.use(authenticate, authorize(['head_authority']));
+
+// Head Authority: Counts by status/type/department/ward
+router.get('/summary', analyticsController.getSummary);
+
+// Head Authority: Time-to-acknowledge and time-to-resolve per department
+router.get('/response-times', analyticsController.getResponseTimes);
+
+// Head Authority: Open backlog ageing buckets
+router.get('/backlog', analyticsController.getBacklog);
+
+// Head Authority: Created/resolved trends per day, week or month
+router.get('/trends', analyticsController.getTrends);
+
+// Head Authority: AI classification override rates per category
+router.get('/classification', analyticsController.getClassificationReviews);
+
+module.exports = router;
@@ -1,19 +1,73 @@
 const express = require('express');
 const router = express.Router();
 const issueController = require('../controllers/issueController');
-const { authenticate, authorize } = require('../middlewares/auth');
+const engagementController = require('../controllers/engagementController');
+const workOrderController = require('../controllers/workOrderController');
+const issueStreamController = require('../controllers/issueStreamController');
+const exportController = require('../controllers/exportController');
+const { authenticate, optionalAuthenticate, acceptQueryToken, authorize, canAccessIssueDepartment, isIssueReporter, canCommentOnIssue, checkReporterStanding } = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { validate } = require('../middlewares/validate');
+const schemas = require('./issueSchemas');
 
 // Public: Get all issues for Transparency Wall
 router.get(
   '/public',
+  rateLimit('read'),
+  validate(schemas.list),
   issueController.getAllIssues
 );
 
+// Public: Issue categories for forms and filters
+router.get(
+  '/categories',
+  rateLimit('read'),
+  issueController.getCategories
+);
+
+// Public: Issues inside a bounding box
+router.get(
+  '/bbox',
+  rateLimit('read'),
+  validate(schemas.boundingBox),
+  issueController.getIssuesInBox
+);
+
+// Public: Issues within a radius of a point
+router.get(
+  '/nearby',
+  rateLimit('read'),
+  validate(schemas.nearby),
+  issueController.getNearbyIssues
+);
+
+// Public: Clustered map view at a zoom level
+router.get(
+  '/clusters',
+  rateLimit('read'),
+  validate(schemas.clusters),
+  issueController.getIssueClusters
+);
+
+// Public: Live issue events over Server-Sent Events (citizens get their own and followed
+// issues, authorities their queue)
+router.get(
+  '/stream',
+  acceptQueryToken,
+  optionalAuthenticate,
+  rateLimit('read'),
+  validate(schemas.stream),
+  issueStreamController.streamIssueEvents
+);
+
 // Citizen: Report issue
 router.post(
   '/', 
   authenticate, 
+  validate(schemas.createIssue),
   authorize(['citizen']), 
+  checkReporterStanding,
+  rateLimit(['report', 'ai']),
   issueController.createIssue
 );
 
@@ -25,40 +79,213 @@ router.get(
   issueController.getMyIssues
 );
 
-// Head Authority: Get issues
+// Head/Department Authority: Get issues (department authorities only see their own queue)
 router.get(
   '/authority', 
   authenticate, 
-  authorize(['head_authority']), 
+  validate(schemas.list),
+  authorize(['head_authority', 'department_authority']), 
   issueController.getAuthorityIssues
 );
 
-// Head Authority: Update status
+// Head Authority: Export filtered issues with timeline summaries (CSV, Excel CSV or GeoJSON)
+router.get(
+  '/export',
+  authenticate,
+  validate(schemas.export),
+  authorize(['head_authority']),
+  rateLimit('export'),
+  exportController.exportIssues
+);
+
+// Head Authority: AI classifications awaiting human review
+router.get(
+  '/review-queue',
+  authenticate,
+  validate(schemas.list),
+  authorize(['head_authority']),
+  issueController.getReviewQueue
+);
+
+// Head Authority: Resolutions flagged by the before/after photo check
+router.get(
+  '/resolution-reviews',
+  authenticate,
+  validate(schemas.list),
+  authorize(['head_authority']),
+  issueController.getResolutionReviews
+);
+
+// Head Authority: Deleted issues awaiting purge
+router.get(
+  '/trash',
+  authenticate,
+  validate(schemas.list),
+  authorize(['head_authority']),
+  issueController.getTrash
+);
+
+// Head/Department Authority: Update status
 router.patch(
   '/:id/status', 
   authenticate, 
-  authorize(['head_authority']), 
+  validate(schemas.updateStatus),
+  authorize(['head_authority', 'department_authority'], canAccessIssueDepartment), 
   issueController.updateStatus
 );
 
-// Head Authority: Reassign issue
+// Citizen: Confirm or dispute the resolution of their own issue
+router.post(
+  '/:id/verify',
+  authenticate,
+  validate(schemas.verifyResolution),
+  authorize(['citizen'], isIssueReporter),
+  issueController.verifyResolution
+);
+
+// Head Authority: Reassign issue to another department's queue
 router.patch(
   '/:id/reassign', 
   authenticate, 
+  validate(schemas.reassign),
   authorize(['head_authority']), 
   issueController.reassignIssue
 );
 
-// Public: Get single issue detail
+// Head Authority: Accept or override a flagged AI classification
+router.post(
+  '/:id/review',
+  authenticate,
+  validate(schemas.reviewClassification),
+  authorize(['head_authority']),
+  issueController.reviewClassification
+);
+
+// Head Authority: Accept a flagged resolution or reopen the issue
+router.post(
+  '/:id/resolution-review',
+  authenticate,
+  validate(schemas.reviewResolution),
+  authorize(['head_authority']),
+  issueController.reviewResolution
+);
+
+// Head/Department Authority: Work orders for an issue
+router.get(
+  '/:id/work-orders',
+  authenticate,
+  validate(schemas.issueId),
+  authorize(['head_authority', 'department_authority'], canAccessIssueDepartment),
+  workOrderController.getIssueWorkOrders
+);
+
+// Head/Department Authority: Create a work order for a crew or field worker
+router.post(
+  '/:id/work-orders',
+  authenticate,
+  validate(schemas.createWorkOrder),
+  authorize(['head_authority', 'department_authority'], canAccessIssueDepartment),
+  workOrderController.createWorkOrder
+);
+
+// Citizen: "Me too" vote on an issue
+router.post(
+  '/:id/vote',
+  authenticate,
+  validate(schemas.issueId),
+  authorize(['citizen']),
+  rateLimit('vote'),
+  engagementController.voteIssue
+);
+
+// Citizen: Take back a vote
+router.delete(
+  '/:id/vote',
+  authenticate,
+  validate(schemas.issueId),
+  authorize(['citizen']),
+  rateLimit('vote'),
+  engagementController.unvoteIssue
+);
+
+// Public: Comments on an issue
+router.get(
+  '/:id/comments',
+  rateLimit('read'),
+  validate(schemas.listComments),
+  engagementController.getComments
+);
+
+// Citizen/Authority: Comment on an issue (authority comments are official replies)
+router.post(
+  '/:id/comments',
+  authenticate,
+  validate(schemas.comment),
+  authorize(['citizen', 'head_authority', 'department_authority'], canCommentOnIssue),
+  checkReporterStanding,
+  rateLimit('comment'),
+  engagementController.addComment
+);
+
+// Comment author: Edit own comment
+router.patch(
+  '/:id/comments/:commentId',
+  authenticate,
+  validate(schemas.updateComment),
+  rateLimit('comment-edit'),
+  engagementController.updateComment
+);
+
+// Comment author: Delete own comment
+router.delete(
+  '/:id/comments/:commentId',
+  authenticate,
+  validate(schemas.commentId),
+  engagementController.deleteComment
+);
+
+// Citizen: Follow an issue to get its notifications
+router.post(
+  '/:id/follow',
+  authenticate,
+  validate(schemas.issueId),
+  authorize(['citizen']),
+  rateLimit('follow'),
+  engagementController.followIssue
+);
+
+// Citizen: Stop following an issue
+router.delete(
+  '/:id/follow',
+  authenticate,
+  validate(schemas.issueId),
+  authorize(['citizen']),
+  engagementController.unfollowIssue
+);
+
+// Public: History of an issue (authorities see who acted and internal review steps)
+router.get(
+  '/:id/timeline',
+  optionalAuthenticate,
+  rateLimit('read'),
+  validate(schemas.issueId),
+  issueController.getIssueTimeline
+);
+
+// Public: Get single issue detail (reporters and authorities see more when signed in)
 router.get(
   '/:id',
+  optionalAuthenticate,
+  rateLimit('read'),
+  validate(schemas.issueId),
   issueController.getIssueById
 );
 
-// Head Authority: Delete issue
+// Head Authority: Move an issue to the trash
 router.delete(
   '/:id',
   authenticate,
+  validate(schemas.deleteIssue),
   authorize(['head_authority']),
   issueController.deleteIssue
 );
@@ -67,8 +294,74 @@ router.delete(
 router.post(
   '/bulk-delete',
   authenticate,
+  validate(schemas.bulkDelete),
   authorize(['head_authority']),
   issueController.bulkDeleteIssues
 );
 
+// Head/Department Authority: Change the status of many issues (dry_run previews)
+router.post(
+  '/bulk-status',
+  authenticate,
+  validate(schemas.bulkStatus),
+  authorize(['head_authority', 'department_authority']),
+  issueController.bulkUpdateStatus
+);
+
+// Head Authority: Reassign many issues to another department (dry_run previews)
+router.post(
+  '/bulk-reassign',
+  authenticate,
+  validate(schemas.bulkReassign),
+  authorize(['head_authority']),
+  issueController.bulkReassignIssues
+);
+
+// Head Authority: Restore an issue from the trash
+router.post(
+  '/:id/restore',
+  authenticate,
+  validate(schemas.restore),
+  authorize(['head_authority']),
+  issueController.restoreIssue
+);
+
+// Head Authority: Re-run AI classification for a batch of issues
+router.post(
+  '/reclassify',
+  authenticate,
+  validate(schemas.reclassify),
+  authorize(['head_authority']),
+  rateLimit('ai'),
+  issueController.reclassifyIssues
+);
+
+// Head Authority: Re-run AI classification for one issue
+router.post(
+  '/:id/reclassify',
+  authenticate,
+  validate(schemas.issueId),
+  authorize(['head_authority']),
+  rateLimit('ai'),
+  issueController.reclassifyIssues
+);
+
+// Head Authority: Merge duplicate issues into this one
+router.post(
+  '/:id/merge',
+  authenticate,
+  validate(schemas.merge),
+  authorize(['head_authority']),
+  issueController.mergeIssues
+);
+
+// Head Authority: Split supporting reports back out into their own issues
+router.post(
+  '/:id/split',
+  authenticate,
+  validate(schemas.split),
+  authorize(['head_authority']),
+  issueController.splitIssue
+);
+
 module.exports = router;
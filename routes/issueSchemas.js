@@ -0,0 +1,217 @@
+const { DEPARTMENTS } = require('../config/departments');
+const { ISSUE_TYPES } = require('../config/categories');
+const { STATUSES } = require('../services/lifecycle');
+const { SORTS, CLASSIFICATION_STATUSES, REVIEW_STATUSES, RESOLUTION_REVIEW_STATUSES } = require('../services/issueQuery');
+const { MAX_RADIUS_METERS, MAX_ZOOM } = require('../services/issueMap');
+const { MAX_COMMENT_LENGTH } = require('../services/engagement');
+const { REVIEW_ACTIONS } = require('../services/review');
+const { MAX_BULK_ISSUES } = require('../services/bulkActions');
+const { ISSUE_EVENT_TYPES } = require('../services/issueEvents');
+const { EXPORT_FORMATS } = require('../services/issueExport');
+const { UUID_PATTERN, t } = require('../middlewares/validate');
+
+// Request schemas for routes/issueRoutes.js, one per route (see middlewares/validate.js)
+
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_REASON_LENGTH = 1000;
+
+const issueIdParams = { id: t.uuid() };
+const issueIdList = (max) => t.array(t.uuid(), { min: 1, max });
+
+// A ward id, or 'none' for issues outside every ward
+const WARD_FILTER_PATTERN = new RegExp(`^none$|${UUID_PATTERN.source}`, 'i');
+
+// Query parameters shared by every issue listing (parsed further by parseListQuery)
+const listQuery = {
+  status: t.csvOf(STATUSES).optional(),
+  sort: t.oneOf(Object.keys(SORTS)).optional(),
+  limit: t.number({ min: 1, integer: true }).optional(),
+  cursor: t.string().optional(),
+  issue_type: t.oneOf(ISSUE_TYPES).optional(),
+  department: t.oneOf(DEPARTMENTS).optional(),
+  ward_id: t.string({ pattern: WARD_FILTER_PATTERN, description: "a UUID or 'none'" }).optional(),
+  classification_status: t.oneOf(CLASSIFICATION_STATUSES).optional(),
+  review_status: t.oneOf(REVIEW_STATUSES).optional(),
+  resolution_review_status: t.oneOf(RESOLUTION_REVIEW_STATUSES).optional(),
+  from: t.date().optional(),
+  to: t.date().optional(),
+  is_manual: t.oneOf(['true', 'false']).optional(),
+  q: t.string({ max: 200 }).optional()
+};
+
+const boundingBoxQuery = {
+  ...listQuery,
+  min_lat: t.number({ min: -90, max: 90 }),
+  min_lng: t.number({ min: -180, max: 180 }),
+  max_lat: t.number({ min: -90, max: 90 }),
+  max_lng: t.number({ min: -180, max: 180 })
+};
+
+module.exports = {
+  list: { query: listQuery },
+
+  export: {
+    query: { ...listQuery, format: t.oneOf(EXPORT_FORMATS).optional() }
+  },
+
+  boundingBox: { query: boundingBoxQuery },
+
+  nearby: {
+    query: {
+      ...listQuery,
+      lat: t.number({ min: -90, max: 90 }),
+      lng: t.number({ min: -180, max: 180 }),
+      radius: t.number({ min: 1, max: MAX_RADIUS_METERS }).optional()
+    }
+  },
+
+  clusters: {
+    query: { ...boundingBoxQuery, zoom: t.number({ min: 0, max: MAX_ZOOM, integer: true }) }
+  },
+
+  stream: {
+    query: {
+      department: t.oneOf(DEPARTMENTS).optional(),
+      types: t.csvOf(ISSUE_EVENT_TYPES).optional(),
+      last_event_id: t.string({ max: 100 }).optional()
+    }
+  },
+
+  createIssue: {
+    body: {
+      image_ref: t.string(),
+      description: t.string({ max: MAX_DESCRIPTION_LENGTH }),
+      location_lat: t.number({ min: -90, max: 90 }),
+      location_lng: t.number({ min: -180, max: 180 }),
+      manual_issue_type: t.oneOf(ISSUE_TYPES).optional(),
+      manual_department: t.oneOf(DEPARTMENTS).optional(),
+      is_manual_submission: t.boolean().optional()
+    }
+  },
+
+  issueId: { params: issueIdParams },
+
+  updateStatus: {
+    params: issueIdParams,
+    body: {
+      status: t.oneOf(STATUSES),
+      resolved_image_ref: t.string().optional(),
+      reason: t.string({ max: MAX_REASON_LENGTH }).optional()
+    }
+  },
+
+  verifyResolution: {
+    params: issueIdParams,
+    body: {
+      verdict: t.oneOf(['confirm', 'dispute']),
+      comment: t.string({ max: MAX_COMMENT_LENGTH }).optional(),
+      image_ref: t.string().optional()
+    }
+  },
+
+  reassign: {
+    params: issueIdParams,
+    body: { assigned_authority: t.oneOf(DEPARTMENTS) }
+  },
+
+  reviewClassification: {
+    params: issueIdParams,
+    body: {
+      action: t.oneOf(REVIEW_ACTIONS),
+      issue_type: t.oneOf(ISSUE_TYPES).optional()
+    }
+  },
+
+  reviewResolution: {
+    params: issueIdParams,
+    body: {
+      action: t.oneOf(['accept', 'reopen']),
+      reason: t.string({ max: MAX_REASON_LENGTH }).optional()
+    }
+  },
+
+  createWorkOrder: {
+    params: issueIdParams,
+    body: {
+      title: t.string({ max: 200 }),
+      assignee_user_id: t.uuid().optional().nullable(),
+      assignee_crew_id: t.uuid().optional().nullable(),
+      scheduled_for: t.string({ pattern: /^\d{4}-\d{2}-\d{2}$/, description: 'a date (YYYY-MM-DD)' }).optional().nullable(),
+      estimated_cost: t.number({ min: 0 }).optional().nullable(),
+      materials_notes: t.string({ max: 2000 }).optional().nullable()
+    }
+  },
+
+  listComments: {
+    params: issueIdParams,
+    query: {
+      limit: t.number({ min: 1, integer: true }).optional(),
+      after: t.date().optional()
+    }
+  },
+
+  comment: {
+    params: issueIdParams,
+    body: { body: t.string({ max: MAX_COMMENT_LENGTH }) }
+  },
+
+  updateComment: {
+    params: { ...issueIdParams, commentId: t.uuid() },
+    body: { body: t.string({ max: MAX_COMMENT_LENGTH }) }
+  },
+
+  commentId: {
+    params: { ...issueIdParams, commentId: t.uuid() }
+  },
+
+  deleteIssue: {
+    params: issueIdParams,
+    body: { reason: t.string({ max: MAX_REASON_LENGTH }) }
+  },
+
+  // Ids are not checked one by one here: bulk delete reports invalid ids per item
+  bulkDelete: {
+    body: {
+      issueIds: t.array(t.string(), { min: 1, max: MAX_BULK_ISSUES }),
+      reason: t.string({ max: MAX_REASON_LENGTH })
+    }
+  },
+
+  bulkStatus: {
+    body: {
+      issueIds: t.array(t.string(), { min: 1, max: MAX_BULK_ISSUES }).optional(),
+      filter: t.object(listQuery).optional(),
+      status: t.oneOf(STATUSES),
+      reason: t.string({ max: MAX_REASON_LENGTH }).optional(),
+      dry_run: t.boolean().optional()
+    }
+  },
+
+  bulkReassign: {
+    body: {
+      issueIds: t.array(t.string(), { min: 1, max: MAX_BULK_ISSUES }).optional(),
+      filter: t.object(listQuery).optional(),
+      assigned_authority: t.oneOf(DEPARTMENTS),
+      dry_run: t.boolean().optional()
+    }
+  },
+
+  restore: {
+    params: issueIdParams,
+    body: { reason: t.string({ max: MAX_REASON_LENGTH }).optional() }
+  },
+
+  reclassify: {
+    body: { issueIds: issueIdList() }
+  },
+
+  merge: {
+    params: issueIdParams,
+    body: { issueIds: issueIdList() }
+  },
+
+  split: {
+    params: issueIdParams,
+    body: { reportIds: issueIdList() }
+  }
+};
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const moderationController = require('../controllers/moderationController');
+const { authenticate, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const schemas = require('./moderationSchemas');
+
+// Head Authority: Reporters flagged for repeated rejected reports
+router.get(
+  '/flags',
+  authenticate,
+  validate(schemas.listFlags),
+  authorize(['head_authority']),
+  moderationController.getAbuseFlags
+);
+
+// Head Authority: Suspend a reporter from reporting and commenting
+router.post(
+  '/users/:userId/suspension',
+  authenticate,
+  validate(schemas.suspend),
+  authorize(['head_authority']),
+  moderationController.suspendUser
+);
+
+// Head Authority: Lift a suspension or cooldown
+router.delete(
+  '/users/:userId/suspension',
+  authenticate,
+  validate(schemas.unsuspend),
+  authorize(['head_authority']),
+  moderationController.unsuspendUser
+);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const { t } = require('../middlewares/validate');
+
+// Request schemas for routes/moderationRoutes.js (see middlewares/validate.js)
+
+const MAX_REASON_LENGTH = 1000;
+
+const userIdParams = { userId: t.uuid() };
+
+module.exports = {
+  listFlags: {
+    query: {
+      status: t.oneOf(['open', 'reviewed', 'all']).optional(),
+      limit: t.number({ min: 1, integer: true }).optional()
+    }
+  },
+
+  suspend: {
+    params: userIdParams,
+    body: {
+      reason: t.string({ max: MAX_REASON_LENGTH }),
+      until: t.date().optional().nullable()
+    }
+  },
+
+  unsuspend: {
+    params: userIdParams,
+    body: { reason: t.string({ max: MAX_REASON_LENGTH }).optional() }
+  }
+};
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middlewares/auth');
+
+// Every notification route acts on the signed-in user's own data
+router.use(authenticate);
+
+// Any User: Notification preferences
+router.get('/preferences', notificationController.getPreferences);
+router.put('/preferences', notificationController.updatePreferences);
+
+// Any User: In-app notifications
+router.get('/', notificationController.getNotifications);
+router.post('/read-all', notificationController.markAllRead);
+router.patch('/:id/read', notificationController.markRead);
+
+module.exports = router;
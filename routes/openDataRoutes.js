@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const exportController = require('../controllers/exportController');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { validate } = require('../middlewares/validate');
+const schemas = require('./issueSchemas');
+
+// Public: Anonymized issues as GeoJSON
+router.get(
+  '/issues.geojson',
+  rateLimit('open-data'),
+  validate(schemas.list),
+  exportController.getOpenDataGeoJson
+);
+
+// Public: Anonymized issues as Open311 GeoReport v2 service requests
+router.get(
+  '/requests.json',
+  rateLimit('open-data'),
+  validate(schemas.list),
+  exportController.getOpen311Requests
+);
+
+// Public: Issue categories as an Open311 service list
+router.get(
+  '/services.json',
+  rateLimit('read'),
+  exportController.getOpen311Services
+);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const uploadController = require('../controllers/uploadController');
+const { authenticate } = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { singleImage } = require('../middlewares/upload');
+
+// Any User: Upload an issue, resolution or dispute photo
+router.post(
+  '/',
+  authenticate,
+  rateLimit('upload'),
+  singleImage('image'),
+  uploadController.uploadImage
+);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const wardController = require('../controllers/wardController');
+const { authenticate, authorize } = require('../middlewares/auth');
+
+// Public: Ward boundaries as GeoJSON
+router.get(
+  '/',
+  wardController.getWards
+);
+
+// Head Authority: Issue counts per ward
+router.get(
+  '/summary',
+  authenticate,
+  authorize(['head_authority']),
+  wardController.getWardSummary
+);
+
+// Head Authority: Upload ward boundaries (GeoJSON FeatureCollection)
+router.put(
+  '/',
+  authenticate,
+  authorize(['head_authority']),
+  wardController.uploadWards
+);
+
+module.exports = router;
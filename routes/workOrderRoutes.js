@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const workOrderController = require('../controllers/workOrderController');
+const { authenticate, authorize } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const schemas = require('./workOrderSchemas');
+
+// Head/Department Authority: List crews and their members
+router.get(
+  '/crews',
+  authenticate,
+  authorize(['head_authority', 'department_authority']),
+  workOrderController.getCrews
+);
+
+// Head Authority: Create a crew
+router.post(
+  '/crews',
+  authenticate,
+  authorize(['head_authority']),
+  workOrderController.createCrew
+);
+
+// Head Authority: Replace a crew's members
+router.put(
+  '/crews/:crewId/members',
+  authenticate,
+  validate(schemas.setCrewMembers),
+  authorize(['head_authority']),
+  workOrderController.setCrewMembers
+);
+
+// Field Worker/Authority: Work orders (field workers only see their own assignments)
+router.get(
+  '/',
+  authenticate,
+  validate(schemas.listWorkOrders),
+  authorize(['field_worker', 'head_authority', 'department_authority']),
+  workOrderController.getWorkOrders
+);
+
+// Field Worker/Authority: Work order detail with progress photos
+router.get(
+  '/:id',
+  authenticate,
+  validate(schemas.workOrderId),
+  authorize(['field_worker', 'head_authority', 'department_authority']),
+  workOrderController.getWorkOrder
+);
+
+// Field Worker/Authority: Update a work order (field workers can only start or complete it)
+router.patch(
+  '/:id',
+  authenticate,
+  validate(schemas.workOrderId),
+  authorize(['field_worker', 'head_authority', 'department_authority']),
+  workOrderController.updateWorkOrder
+);
+
+// Field Worker/Authority: Attach a progress photo
+router.post(
+  '/:id/photos',
+  authenticate,
+  validate(schemas.workOrderId),
+  authorize(['field_worker', 'head_authority', 'department_authority']),
+  workOrderController.addWorkOrderPhoto
+);
+
+module.exports = router;
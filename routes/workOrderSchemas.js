@@ -0,0 +1,23 @@
+const { WORK_ORDER_STATUSES } = require('../services/workOrders');
+const { t } = require('../middlewares/validate');
+
+// Request schemas for routes/workOrderRoutes.js (see middlewares/validate.js).
+// Work order fields themselves are checked by parseWorkOrderFields in services/workOrders.js.
+
+const workOrderIdParams = { id: t.uuid() };
+
+module.exports = {
+  listWorkOrders: {
+    query: {
+      status: t.csvOf(WORK_ORDER_STATUSES).optional(),
+      scheduled_for: t.string({ pattern: /^\d{4}-\d{2}-\d{2}$/, description: 'a date (YYYY-MM-DD)' }).optional()
+    }
+  },
+
+  workOrderId: { params: workOrderIdParams },
+
+  setCrewMembers: {
+    params: { crewId: t.uuid() },
+    body: { user_ids: t.array(t.uuid()) }
+  }
+};
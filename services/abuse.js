@@ -0,0 +1,187 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { writeAudit } = require('./audit');
+require('dotenv').config();
+
+// "Not a civic issue" rejections within the window that put a reporter on cooldown
+const ABUSE_REJECTION_THRESHOLD = Number(process.env.ABUSE_REJECTION_THRESHOLD) || 3;
+const ABUSE_REJECTION_WINDOW_HOURS = Number(process.env.ABUSE_REJECTION_WINDOW_HOURS) || 24;
+
+// First cooldown; each further strike doubles it, up to the maximum
+const REPORTING_COOLDOWN_MINUTES = Number(process.env.REPORTING_COOLDOWN_MINUTES) || 60;
+const MAX_REPORTING_COOLDOWN_MINUTES = 7 * 24 * 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Whether a profile may report issues right now.
+ * @param {Object} profile - A profiles row (req.user carries one)
+ * @returns {{ allowed: boolean, reason?: 'suspended'|'cooldown', until?: string|null }}
+ */
+const getReportingStanding = (profile, now = new Date()) => {
+  if (profile.suspended_at && (!profile.suspended_until || new Date(profile.suspended_until) > now)) {
+    return { allowed: false, reason: 'suspended', until: profile.suspended_until || null };
+  }
+  if (profile.reporting_cooldown_until && new Date(profile.reporting_cooldown_until) > now) {
+    return { allowed: false, reason: 'cooldown', until: profile.reporting_cooldown_until };
+  }
+  return { allowed: true };
+};
+
+/**
+ * Called after the AI rejected one of a citizen's reports as not a civic issue.
+ * Enough rejections in the window earn a strike: an escalating reporting cooldown and an
+ * abuse flag for the head authority. Never throws: this runs inside the classification queue.
+ */
+const recordRejection = async (citizenId, issueId) => {
+  if (!citizenId) return;
+
+  try {
+    const since = new Date(Date.now() - ABUSE_REJECTION_WINDOW_HOURS * HOUR_MS).toISOString();
+    const { count, error: countError } = await supabaseAdmin
+      .from('issues')
+      .select('id', { count: 'exact', head: true })
+      .eq('citizen_id', citizenId)
+      .not('ai_analysis->>error', 'is', null)
+      // Only reports the rejection was applied to; picked-up issues keep their status
+      .eq('status', 'rejected')
+      .gte('created_at', since);
+
+    if (countError) {
+      throw countError;
+    }
+    if ((count || 0) < ABUSE_REJECTION_THRESHOLD) {
+      return;
+    }
+
+    const { data: profile, error: profileError } = await supabaseAdmin
+      .from('profiles')
+      .select('id, abuse_strikes, reporting_cooldown_until')
+      .eq('id', citizenId)
+      .maybeSingle();
+
+    if (profileError) {
+      throw profileError;
+    }
+    // One strike per cooldown: rejections of reports filed before it started do not stack
+    if (!profile || (profile.reporting_cooldown_until && new Date(profile.reporting_cooldown_until) > new Date())) {
+      return;
+    }
+
+    const strikes = (profile.abuse_strikes || 0) + 1;
+    const cooldownMinutes = Math.min(REPORTING_COOLDOWN_MINUTES * 2 ** (strikes - 1), MAX_REPORTING_COOLDOWN_MINUTES);
+    const cooldownUntil = new Date(Date.now() + cooldownMinutes * 60 * 1000).toISOString();
+
+    const { error: updateError } = await supabaseAdmin
+      .from('profiles')
+      .update({ abuse_strikes: strikes, reporting_cooldown_until: cooldownUntil })
+      .eq('id', citizenId);
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    const { error: flagError } = await supabaseAdmin.from('abuse_flags').insert([{
+      user_id: citizenId,
+      kind: 'repeated_rejections',
+      details: {
+        rejections: count,
+        window_hours: ABUSE_REJECTION_WINDOW_HOURS,
+        strike: strikes,
+        cooldown_until: cooldownUntil,
+        last_issue_id: issueId
+      }
+    }]);
+
+    if (flagError) {
+      throw flagError;
+    }
+    console.warn(`Abuse: Reporter ${citizenId} on cooldown until ${cooldownUntil} (strike ${strikes})`);
+  } catch (error) {
+    console.error(`Abuse: Could not record rejection for reporter ${citizenId}:`, error.message);
+  }
+};
+
+/**
+ * Marks a user's open abuse flags as handled.
+ */
+const closeFlags = async (userId, reviewerId) => {
+  const { error } = await supabaseAdmin
+    .from('abuse_flags')
+    .update({ reviewed_by: reviewerId, reviewed_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('reviewed_at', null);
+
+  if (error) {
+    throw error;
+  }
+};
+
+/**
+ * Suspends a reporter from filing issues and commenting.
+ * @param {Object} options - { reason, until } where until is optional (indefinite without it)
+ * @returns {Promise<Object|null>} - The updated profile, or null if there is no such user.
+ */
+const suspendReporter = async (userId, actorId, { reason, until = null }) => {
+  const { data: profile, error } = await supabaseAdmin
+    .from('profiles')
+    .update({
+      suspended_at: new Date().toISOString(),
+      suspended_until: until,
+      suspended_by: actorId,
+      suspension_reason: reason
+    })
+    .eq('id', userId)
+    .select('id, role, suspended_at, suspended_until, suspension_reason, abuse_strikes, reporting_cooldown_until')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!profile) {
+    return null;
+  }
+
+  await writeAudit([{ entity_type: 'user', entity_id: userId, action: 'suspend', actor_id: actorId, reason, details: { until } }]);
+  await closeFlags(userId, actorId);
+  return profile;
+};
+
+/**
+ * Lifts a suspension and any running cooldown.
+ * @returns {Promise<Object|null>} - The updated profile, or null if there is no such user.
+ */
+const liftSuspension = async (userId, actorId, reason) => {
+  const { data: profile, error } = await supabaseAdmin
+    .from('profiles')
+    .update({
+      suspended_at: null,
+      suspended_until: null,
+      suspended_by: null,
+      suspension_reason: null,
+      reporting_cooldown_until: null
+    })
+    .eq('id', userId)
+    .select('id, role, suspended_at, suspended_until, suspension_reason, abuse_strikes, reporting_cooldown_until')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!profile) {
+    return null;
+  }
+
+  await writeAudit([{ entity_type: 'user', entity_id: userId, action: 'unsuspend', actor_id: actorId, reason }]);
+  await closeFlags(userId, actorId);
+  return profile;
+};
+
+module.exports = {
+  ABUSE_REJECTION_THRESHOLD,
+  ABUSE_REJECTION_WINDOW_HOURS,
+  REPORTING_COOLDOWN_MINUTES,
+  getReportingStanding,
+  recordRejection,
+  suspendReporter,
+  liftSuspension
+};
@@ -0,0 +1,237 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { applyFilters } = require('./issueQuery');
+const { fetchAllRows } = require('./fetchAll');
+const { OPEN_STATUSES } = require('./lifecycle');
+const { ISSUE_TYPES } = require('../config/categories');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// A move to any of these out of 'reported' counts as the authority acknowledging the issue
+const ACKNOWLEDGING_STATUSES = ['acknowledged', 'in_progress', 'resolved', 'rejected'];
+
+// Keeps the issue_logs "in" filter to a sane URL length
+const ID_BATCH_SIZE = 100;
+
+const BACKLOG_BUCKETS = [
+  { label: '0-1d', maxDays: 1 },
+  { label: '1-3d', maxDays: 3 },
+  { label: '3-7d', maxDays: 7 },
+  { label: '7-30d', maxDays: 30 },
+  { label: '30d+', maxDays: Infinity }
+];
+
+const TREND_INTERVALS = ['day', 'week', 'month'];
+
+const RESPONSE_TIME_COLUMNS = [
+  'department',
+  'acknowledged_count',
+  'median_hours_to_acknowledge',
+  'p90_hours_to_acknowledge',
+  'resolved_count',
+  'median_hours_to_resolve',
+  'p90_hours_to_resolve'
+];
+
+const OVERRIDE_RATE_COLUMNS = ['issue_type', 'reviewed', 'accepted', 'overridden', 'override_rate'];
+
+const loadIssues = (filters) => fetchAllRows(() => (
+  applyFilters(
+    supabaseAdmin.from('issues').select('id, status, issue_type, department, ward_id, created_at, resolved_at'),
+    filters
+  ).order('id', { ascending: true })
+));
+
+/**
+ * Earliest acknowledging and resolving log entry per issue, counting only status changes
+ * made by a person: AI rejections and scheduled jobs say nothing about response times.
+ * @param {string[]} issueIds - The issues being reported on
+ * @returns {Promise<Map<string, { acknowledged_at?: string, resolved_at?: string }>>}
+ */
+const loadFirstTransitions = async (issueIds) => {
+  const logs = [];
+  for (let i = 0; i < issueIds.length; i += ID_BATCH_SIZE) {
+    const batch = issueIds.slice(i, i + ID_BATCH_SIZE);
+    logs.push(...await fetchAllRows(() => supabaseAdmin
+      .from('issue_logs')
+      .select('id, issue_id, new_status, created_at')
+      .in('issue_id', batch)
+      .eq('action', 'status_change')
+      .not('changed_by', 'is', null)
+      .in('new_status', ACKNOWLEDGING_STATUSES)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })));
+  }
+
+  const firsts = new Map();
+  for (const log of logs) {
+    const entry = firsts.get(log.issue_id) || {};
+    if (!entry.acknowledged_at) entry.acknowledged_at = log.created_at;
+    if (log.new_status === 'resolved' && !entry.resolved_at) entry.resolved_at = log.created_at;
+    firsts.set(log.issue_id, entry);
+  }
+  return firsts;
+};
+
+const loadClassificationReviews = (filters) => fetchAllRows(() => {
+  let query = supabaseAdmin.from('classification_reviews').select('id, ai_issue_type, action, created_at');
+  if (filters.from) query = query.gte('created_at', new Date(filters.from).toISOString());
+  if (filters.to) query = query.lte('created_at', new Date(filters.to).toISOString());
+  return query.order('id', { ascending: true });
+});
+
+/**
+ * Nearest-rank percentile.
+ * @returns {number|null}
+ */
+const percentile = (values, p) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0);
+  return sorted[index];
+};
+
+const roundHours = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+const countBy = (issues, key) => {
+  const counts = {};
+  for (const issue of issues) {
+    const value = issue[key] ?? 'unassigned';
+    counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+};
+
+/**
+ * Issue counts broken down by status, type, department and ward.
+ */
+const summarize = (issues) => ({
+  total: issues.length,
+  by_status: countBy(issues, 'status'),
+  by_issue_type: countBy(issues, 'issue_type'),
+  by_department: countBy(issues, 'department'),
+  by_ward: countBy(issues, 'ward_id')
+});
+
+/**
+ * Median and p90 hours to acknowledge and to resolve, per department.
+ */
+const responseTimes = (issues, firstTransitions) => {
+  const byDepartment = new Map();
+
+  for (const issue of issues) {
+    const department = issue.department || 'unassigned';
+    if (!byDepartment.has(department)) byDepartment.set(department, { acknowledge: [], resolve: [] });
+    const bucket = byDepartment.get(department);
+    const created = new Date(issue.created_at).getTime();
+    const firsts = firstTransitions.get(issue.id) || {};
+
+    if (firsts.acknowledged_at) {
+      bucket.acknowledge.push((new Date(firsts.acknowledged_at).getTime() - created) / HOUR_MS);
+    }
+    const resolvedAt = issue.resolved_at || firsts.resolved_at;
+    if (resolvedAt) {
+      bucket.resolve.push((new Date(resolvedAt).getTime() - created) / HOUR_MS);
+    }
+  }
+
+  return [...byDepartment.entries()].map(([department, { acknowledge, resolve }]) => ({
+    department,
+    acknowledged_count: acknowledge.length,
+    median_hours_to_acknowledge: roundHours(percentile(acknowledge, 50)),
+    p90_hours_to_acknowledge: roundHours(percentile(acknowledge, 90)),
+    resolved_count: resolve.length,
+    median_hours_to_resolve: roundHours(percentile(resolve, 50)),
+    p90_hours_to_resolve: roundHours(percentile(resolve, 90))
+  }));
+};
+
+/**
+ * Open issues per department, grouped by how long they have been waiting.
+ */
+const backlogAgeing = (issues, now = Date.now()) => {
+  const rows = new Map();
+
+  for (const issue of issues) {
+    if (!OPEN_STATUSES.includes(issue.status)) continue;
+
+    const department = issue.department || 'unassigned';
+    if (!rows.has(department)) {
+      rows.set(department, Object.fromEntries([['department', department], ...BACKLOG_BUCKETS.map((b) => [b.label, 0]), ['total', 0]]));
+    }
+    const row = rows.get(department);
+    const ageDays = (now - new Date(issue.created_at).getTime()) / DAY_MS;
+    const bucket = BACKLOG_BUCKETS.find((b) => ageDays < b.maxDays);
+    row[bucket.label] += 1;
+    row.total += 1;
+  }
+
+  return [...rows.values()];
+};
+
+const periodKey = (timestamp, interval) => {
+  const date = new Date(timestamp);
+  if (interval === 'month') return date.toISOString().slice(0, 7);
+  if (interval === 'week') {
+    // ISO weeks start on Monday
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - daysSinceMonday * DAY_MS).toISOString().slice(0, 10);
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Issues created and resolved per day, week or month.
+ */
+const trends = (issues, interval) => {
+  const periods = new Map();
+  const bump = (timestamp, field) => {
+    const key = periodKey(timestamp, interval);
+    if (!periods.has(key)) periods.set(key, { period: key, created: 0, resolved: 0 });
+    periods.get(key)[field] += 1;
+  };
+
+  for (const issue of issues) {
+    bump(issue.created_at, 'created');
+    if (issue.resolved_at) bump(issue.resolved_at, 'resolved');
+  }
+
+  return [...periods.values()].sort((a, b) => a.period.localeCompare(b.period));
+};
+
+/**
+ * Per AI category: how many reviewed classifications were accepted or overridden.
+ */
+const overrideRates = (reviews) => {
+  const emptyRow = (issueType) => ({ issue_type: issueType, reviewed: 0, accepted: 0, overridden: 0 });
+  const rows = new Map(ISSUE_TYPES.map((type) => [type, emptyRow(type)]));
+
+  for (const review of reviews) {
+    const type = review.ai_issue_type || 'unknown';
+    if (!rows.has(type)) rows.set(type, emptyRow(type));
+    const row = rows.get(type);
+    row.reviewed += 1;
+    row[review.action === 'override' ? 'overridden' : 'accepted'] += 1;
+  }
+
+  return [...rows.values()].map((row) => ({
+    ...row,
+    override_rate: row.reviewed > 0 ? Math.round((row.overridden / row.reviewed) * 1000) / 1000 : null
+  }));
+};
+
+module.exports = {
+  BACKLOG_BUCKETS,
+  RESPONSE_TIME_COLUMNS,
+  TREND_INTERVALS,
+  OVERRIDE_RATE_COLUMNS,
+  loadIssues,
+  loadFirstTransitions,
+  loadClassificationReviews,
+  percentile,
+  summarize,
+  responseTimes,
+  backlogAgeing,
+  trends,
+  overrideRates
+};
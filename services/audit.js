@@ -0,0 +1,15 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+/**
+ * Appends entries to the audit log. Failures are thrown: actions that must be accounted for
+ * (deletions, suspensions) are not allowed to happen without an entry.
+ * @param {Object[]} entries - { entity_type, entity_id, action, actor_id, reason, details? }
+ */
+const writeAudit = async (entries) => {
+  const { error } = await supabaseAdmin.from('audit_log').insert(entries);
+  if (error) {
+    throw error;
+  }
+};
+
+module.exports = { writeAudit };
@@ -0,0 +1,240 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { DEPARTMENTS } = require('../config/departments');
+const { STATUSES, REQUIRED_FIELDS, validateTransition } = require('./lifecycle');
+const { parseListQuery, applyFilters } = require('./issueQuery');
+const { fetchAllRows } = require('./fetchAll');
+const { computeDueAt, reopenedSlaFields } = require('./sla');
+const { clearResolutionCheck } = require('./resolutionCheck');
+const { updateIssueWithLog } = require('./issueLog');
+const { notifyStatusChange, notifyReassignment } = require('./notifications');
+const { badRequest } = require('../middlewares/errors');
+const { UUID_PATTERN } = require('../middlewares/validate');
+
+// Upper bound on issues touched by one bulk request; narrow the filter for more
+const MAX_BULK_ISSUES = Number(process.env.MAX_BULK_ISSUES) || 500;
+
+// Keeps PostgREST "in" filters to a sane URL length
+const ID_BATCH_SIZE = 100;
+
+const TARGET_COLUMNS = 'id, status, issue_type, department, citizen_id, created_at';
+
+/**
+ * Columns that change together with a status, apart from the resolution photo
+ * which only the single-issue route accepts.
+ * @param {Object} issue - The issue as it is now (needs issue_type and department)
+ */
+const statusUpdateFields = (status, issue, { reason } = {}) => {
+  const fields = { status };
+  if (status === 'rejected') {
+    fields.rejection_reason = reason;
+  }
+  if (status === 'reopened') {
+    Object.assign(fields, clearResolutionCheck(), reopenedSlaFields(issue), { resolved_at: null, closed_at: null });
+  }
+  if (status === 'closed') {
+    fields.closed_at = new Date().toISOString();
+  }
+  return fields;
+};
+
+/**
+ * Loads the issues a bulk request targets, either an explicit id list or a listing filter
+ * (the same query parameters as GET /issues/authority, e.g. a view saved by the dashboard).
+ * Department authorities are limited to their own department.
+ * @param {Object} target - { issueIds } or { filter }
+ * @param {Object} user - req.user
+ * @returns {Promise<{ issues: Object[], missing: Array<{ id: string, result: string }>, order: string[]|null }>}
+ */
+const resolveTargets = async ({ issueIds, filter }, user) => {
+  if ((issueIds === undefined) === (filter === undefined)) {
+    throw badRequest('Provide exactly one of issueIds or filter');
+  }
+
+  const scopeToUser = (query) => (
+    user.role === 'department_authority' ? query.eq('department', user.department) : query
+  );
+
+  if (filter !== undefined) {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      throw badRequest('filter must be an object of listing query parameters');
+    }
+    const { filters } = parseListQuery(filter);
+
+    const issues = await fetchAllRows(() => scopeToUser(applyFilters(
+      supabaseAdmin.from('issues').select(TARGET_COLUMNS),
+      filters
+    )).order('created_at', { ascending: true }).order('id', { ascending: true }));
+
+    if (issues.length > MAX_BULK_ISSUES) {
+      throw badRequest(`Filter matches ${issues.length} issues; narrow it to at most ${MAX_BULK_ISSUES}`);
+    }
+    return { issues, missing: [], order: null };
+  }
+
+  if (!Array.isArray(issueIds) || issueIds.length === 0) {
+    throw badRequest('Invalid or empty array of issue IDs provided');
+  }
+  const ids = [...new Set(issueIds)];
+  if (ids.length > MAX_BULK_ISSUES) {
+    throw badRequest(`At most ${MAX_BULK_ISSUES} issues per request`);
+  }
+
+  const validIds = ids.filter((id) => UUID_PATTERN.test(String(id)));
+  const found = [];
+  for (let i = 0; i < validIds.length; i += ID_BATCH_SIZE) {
+    const { data, error } = await supabaseAdmin
+      .from('issues')
+      .select(TARGET_COLUMNS)
+      .in('id', validIds.slice(i, i + ID_BATCH_SIZE))
+      .is('merged_into', null)
+      .is('deleted_at', null);
+
+    if (error) {
+      throw error;
+    }
+    found.push(...data);
+  }
+
+  const byId = new Map(found.map((issue) => [issue.id, issue]));
+  const issues = [];
+  const missing = [];
+  for (const id of ids) {
+    const issue = byId.get(id);
+    if (!UUID_PATTERN.test(String(id))) missing.push({ id, result: 'invalid_id' });
+    else if (!issue) missing.push({ id, result: 'not_found' });
+    // Same answer as the single-issue route gives for another department's issue
+    else if (user.role === 'department_authority' && issue.department !== user.department) missing.push({ id, result: 'forbidden' });
+    else issues.push(issue);
+  }
+  return { issues, missing, order: ids };
+};
+
+/**
+ * Applies a plan to every target issue, or only reports it when dryRun is set.
+ * @param {Function} plan - (issue) => { skip?: string, error?: Object, changes?: Object, log?: Object, after?: Function }
+ */
+const runBulk = async ({ issues, missing, order }, plan, { dryRun, changedBy }) => {
+  const results = [...missing];
+
+  for (const issue of issues) {
+    const step = plan(issue);
+    const base = { id: issue.id, old_status: issue.status };
+
+    if (step.error) {
+      results.push({ ...base, result: 'invalid', ...step.error });
+      continue;
+    }
+    if (step.skip) {
+      results.push({ ...base, result: 'unchanged', reason: step.skip });
+      continue;
+    }
+    if (dryRun) {
+      results.push({ ...base, result: 'would_update', new_status: step.changes.status || issue.status });
+      continue;
+    }
+
+    try {
+      const updatedIssue = await updateIssueWithLog(issue.id, step.changes, {
+        ...step.log,
+        changedBy,
+        details: { ...step.log.details, bulk: true },
+        // Someone else may have moved the issue since it was validated
+        expectedStatus: issue.status
+      });
+
+      if (!updatedIssue) {
+        results.push({ ...base, result: 'conflict', error: 'Issue changed while the bulk update ran' });
+        continue;
+      }
+      results.push({ ...base, result: 'updated', new_status: updatedIssue.status });
+      if (step.after) step.after(updatedIssue);
+    } catch (error) {
+      // The raw database error stays in the server log, callers get a stable answer
+      console.error(`Bulk: Failed to update issue ${issue.id}:`, error);
+      results.push({ ...base, result: 'failed', error: 'Could not update this issue', code: 'UPDATE_FAILED' });
+    }
+  }
+
+  // Answer in the order the ids were given
+  if (order) {
+    const position = new Map(order.map((id, index) => [id, index]));
+    results.sort((a, b) => position.get(a.id) - position.get(b.id));
+  }
+
+  const count = (result) => results.filter((outcome) => outcome.result === result).length;
+  return {
+    dry_run: Boolean(dryRun),
+    matched: issues.length,
+    updated: count('updated'),
+    would_update: count('would_update'),
+    failed: results.length - count('updated') - count('would_update') - count('unchanged'),
+    results
+  };
+};
+
+/**
+ * Moves many issues to one status. Every transition is checked against the lifecycle rules
+ * for the caller's role. Resolving needs a photo per issue, so it is not available in bulk.
+ */
+const bulkUpdateStatus = async (target, { status, reason, dryRun }, user) => {
+  if (status === 'resolved') {
+    throw badRequest('Issues cannot be resolved in bulk: every resolution needs its own photo');
+  }
+  if (!STATUSES.includes(status)) {
+    throw badRequest('Invalid status');
+  }
+  const missing = (REQUIRED_FIELDS[status] || []).find((field) => field === 'reason' && (!reason || String(reason).trim() === ''));
+  if (missing) {
+    throw badRequest(`Missing field: ${missing}`);
+  }
+
+  const targets = await resolveTargets(target, user);
+  const plan = (issue) => {
+    if (issue.status === status) return { skip: `Already ${status}` };
+
+    const transition = validateTransition(issue.status, status, user.role, { reason });
+    if (!transition.ok) {
+      return { error: { error: transition.error, allowed_transitions: transition.allowed } };
+    }
+    return {
+      changes: statusUpdateFields(status, issue, { reason }),
+      log: { action: 'status_change', details: reason ? { reason } : {} },
+      after: (updatedIssue) => notifyStatusChange(updatedIssue, issue.status)
+    };
+  };
+
+  return runBulk(targets, plan, { dryRun, changedBy: user.id });
+};
+
+/**
+ * Routes many issues to one department, recomputing each SLA deadline.
+ */
+const bulkReassign = async (target, { assignedAuthority, dryRun }, user) => {
+  if (!DEPARTMENTS.includes(assignedAuthority)) {
+    throw badRequest(`Invalid assigned_authority. Must be one of: ${DEPARTMENTS.join(', ')}`);
+  }
+
+  const targets = await resolveTargets(target, user);
+  const plan = (issue) => {
+    if (issue.department === assignedAuthority) return { skip: `Already assigned to ${assignedAuthority}` };
+    return {
+      changes: {
+        assigned_authority: assignedAuthority,
+        department: assignedAuthority,
+        due_at: computeDueAt(issue.issue_type, assignedAuthority, issue.created_at)
+      },
+      log: { action: 'reassign', details: { old_department: issue.department, new_department: assignedAuthority } },
+      after: (updatedIssue) => notifyReassignment(updatedIssue, issue.department)
+    };
+  };
+
+  return runBulk(targets, plan, { dryRun, changedBy: user.id });
+};
+
+module.exports = {
+  MAX_BULK_ISSUES,
+  statusUpdateFields,
+  resolveTargets,
+  bulkUpdateStatus,
+  bulkReassign
+};
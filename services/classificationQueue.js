@@ -0,0 +1,251 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { classifyIssue } = require('./classifiers');
+const { downloadImage } = require('./uploads');
+const { computeDueAt } = require('./sla');
+const { findDuplicateIssue, mergeIssueInto } = require('./duplicates');
+const { getReviewReasons } = require('./review');
+const { updateIssueWithLog } = require('./issueLog');
+const { recordRejection } = require('./abuse');
+const { notifyReassignment } = require('./notifications');
+require('dotenv').config();
+
+const MAX_ATTEMPTS = Number(process.env.CLASSIFICATION_MAX_ATTEMPTS) || 4;
+const BASE_RETRY_DELAY_MS = 5000;
+const CONCURRENCY = Number(process.env.CLASSIFICATION_CONCURRENCY) || 2;
+
+// In-process job queue. Job state lives on the issue row (classification_status),
+// so anything still pending when the server stops is picked up again on start.
+const queue = [];
+const queued = new Set();
+let running = 0;
+
+const updateIssue = async (id, fields) => {
+  const { data, error } = await supabaseAdmin
+    .from('issues')
+    .update(fields)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+/**
+ * Applies a "not a civic issue" verdict: the report is rejected with the model's reason
+ * and counted against the reporter (see services/abuse.js). Issues an authority already
+ * picked up keep their status and count against no one.
+ */
+const applyRejection = async (issue, aiResult) => {
+  const fields = {
+    classification_status: 'completed',
+    classification_error: null,
+    ai_analysis: { ...aiResult, is_manual: Boolean(issue.ai_analysis?.is_manual) }
+  };
+  const log = (applied) => ({
+    action: 'ai_rejected',
+    details: { reason: aiResult.error, provider: aiResult.provider, applied },
+    // An authority may pick the issue up while the model runs
+    ...(applied ? { expectedStatus: 'reported' } : {})
+  });
+
+  const rejected = issue.status === 'reported'
+    ? await updateIssueWithLog(issue.id, { ...fields, status: 'rejected', rejection_reason: aiResult.error }, log(true))
+    : null;
+
+  if (!rejected) {
+    await updateIssueWithLog(issue.id, fields, log(false));
+    return;
+  }
+  await recordRejection(issue.citizen_id, issue.id);
+};
+
+// Review outcomes that mean a head authority has settled the category (see services/review.js)
+const HUMAN_REVIEW_STATUSES = ['accepted', 'overridden'];
+
+/**
+ * Applies a successful classification, keeping any category the citizen picked manually,
+ * flags it for human review when needed, then folds the issue into an older open duplicate if one exists.
+ * Once a head authority has reviewed the category, a later run (e.g. a reclassify) only
+ * records the model's new answer and leaves category, department and review alone.
+ */
+const applyClassification = async (issue, aiResult) => {
+  const isReviewed = HUMAN_REVIEW_STATUSES.includes(issue.review_status);
+  const issueType = isReviewed ? issue.issue_type : issue.manual_issue_type || aiResult.issue_type;
+  const department = isReviewed ? issue.department : issue.manual_department || aiResult.assigned_authority;
+  const reviewReasons = isReviewed ? [] : getReviewReasons(issue, aiResult);
+
+  const classified = await updateIssueWithLog(issue.id, {
+    ...(isReviewed ? {} : {
+      issue_type: issueType,
+      assigned_authority: department,
+      department,
+      due_at: computeDueAt(issueType, department, issue.created_at),
+      review_status: reviewReasons.length > 0 ? 'pending' : null,
+      review_reasons: reviewReasons.length > 0 ? reviewReasons : null
+    }),
+    ai_analysis: { ...aiResult, is_manual: Boolean(issue.ai_analysis?.is_manual) },
+    classification_status: 'completed',
+    classification_error: null
+  }, {
+    action: 'ai_classification',
+    details: {
+      issue_type: aiResult.issue_type,
+      assigned_authority: aiResult.assigned_authority,
+      confidence: aiResult.confidence,
+      provider: aiResult.provider,
+      review_reasons: reviewReasons,
+      old_department: issue.department,
+      ...(isReviewed ? { kept_review: issue.review_status } : {})
+    }
+  });
+
+  // A reclassification that moves an already routed issue is a reassignment like any other
+  if (issue.ai_analysis?.issue_type && classified.department !== issue.department) {
+    notifyReassignment(classified, issue.department);
+  }
+
+  // Manual reports were already checked for duplicates when they were created
+  if (issue.manual_issue_type || classified.status !== 'reported' || classified.support_count > 0) {
+    return;
+  }
+
+  const duplicate = await findDuplicateIssue(issueType, classified.location_lat, classified.location_lng, {
+    excludeId: classified.id,
+    before: classified.created_at
+  });
+  if (duplicate) {
+    console.log(`Classification: Issue ${classified.id} is a duplicate of ${duplicate.id}, merging`);
+    await mergeIssueInto(classified, duplicate.id, { details: { automatic: true } });
+  }
+};
+
+/**
+ * Runs one classification attempt for an issue and records the outcome.
+ */
+const processIssue = async (issueId) => {
+  const { data: issue, error } = await supabaseAdmin
+    .from('issues')
+    .select('*')
+    .eq('id', issueId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!issue || issue.merged_into || issue.deleted_at || issue.classification_status === 'completed') {
+    return;
+  }
+
+  const attempt = (issue.classification_attempts || 0) + 1;
+  await updateIssue(issueId, { classification_status: 'processing', classification_attempts: attempt });
+
+  try {
+    const image = await downloadImage(issue.image_path, issue.image_mime_type);
+    const aiResult = await classifyIssue(image, issue.description);
+
+    if (aiResult.error) {
+      await applyRejection(issue, aiResult);
+    } else {
+      await applyClassification(issue, aiResult);
+    }
+  } catch (classifyError) {
+    if (attempt < MAX_ATTEMPTS) {
+      const delay = BASE_RETRY_DELAY_MS * 2 ** (attempt - 1);
+      console.warn(`Classification: Attempt ${attempt} for issue ${issueId} failed, retrying in ${delay}ms`);
+      await updateIssue(issueId, { classification_status: 'pending', classification_error: classifyError.message });
+      enqueueClassification(issueId, delay);
+      return;
+    }
+
+    console.error(`Classification: Issue ${issueId} failed after ${attempt} attempts:`, classifyError);
+    await updateIssueWithLog(issueId, { classification_status: 'failed', classification_error: classifyError.message }, {
+      action: 'ai_classification_failed',
+      details: { attempts: attempt, error: classifyError.message }
+    });
+  }
+};
+
+const drain = () => {
+  while (running < CONCURRENCY && queue.length > 0) {
+    const issueId = queue.shift();
+    queued.delete(issueId);
+    running++;
+    processIssue(issueId)
+      .catch((error) => console.error(`Classification: Job for issue ${issueId} crashed:`, error))
+      .finally(() => {
+        running--;
+        drain();
+      });
+  }
+};
+
+/**
+ * Queues an issue for classification, optionally after a delay (used for retry backoff).
+ */
+const enqueueClassification = (issueId, delayMs = 0) => {
+  const add = () => {
+    if (queued.has(issueId)) return;
+    queued.add(issueId);
+    queue.push(issueId);
+    drain();
+  };
+
+  if (delayMs > 0) {
+    setTimeout(add, delayMs).unref();
+  } else {
+    add();
+  }
+};
+
+/**
+ * Resets issues to pending with a fresh attempt budget and queues them.
+ * @returns {Promise<string[]>} - Ids that were queued.
+ */
+const requestReclassification = async (issueIds) => {
+  const { data: issues, error } = await supabaseAdmin
+    .from('issues')
+    .update({ classification_status: 'pending', classification_attempts: 0, classification_error: null })
+    .in('id', issueIds)
+    .is('merged_into', null)
+    .is('deleted_at', null)
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  const ids = issues.map((issue) => issue.id);
+  ids.forEach((id) => enqueueClassification(id));
+  return ids;
+};
+
+/**
+ * Re-queues issues left pending or mid-flight by a previous server process.
+ */
+const resumePendingClassifications = async () => {
+  const { data: issues, error } = await supabaseAdmin
+    .from('issues')
+    .select('id')
+    .in('classification_status', ['pending', 'processing'])
+    .is('merged_into', null)
+    .is('deleted_at', null);
+
+  if (error) {
+    console.error('Classification: Failed to resume pending jobs:', error);
+    return;
+  }
+
+  issues.forEach((issue) => enqueueClassification(issue.id));
+  if (issues.length > 0) {
+    console.log(`Classification: Resumed ${issues.length} pending job(s)`);
+  }
+};
+
+module.exports = {
+  enqueueClassification,
+  requestReclassification,
+  resumePendingClassifications
+};
@@ -0,0 +1,166 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { CATEGORIES } = require('../../config/categories');
+require('dotenv').config();
+
+const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+
+const toInlineImage = (image) => ({
+  inlineData: {
+    data: image.data.toString('base64'),
+    mimeType: image.mimeType
+  }
+});
+
+/**
+ * Pulls the JSON object out of a model response.
+ * Sometimes Gemini wraps JSON in markdown code blocks.
+ */
+const extractJson = (text) => {
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    console.error('AI response did not contain a valid JSON object:', text);
+    throw new Error("Could not parse AI response as JSON");
+  }
+  return JSON.parse(jsonMatch[0]);
+};
+
+/**
+ * Classifies a civic issue using Gemini Vision and Text models.
+ * @param {{ data: Buffer, mimeType: string }} image - The sanitized issue image read back from storage.
+ * @param {string} description - The user-provided description of the issue.
+ * @returns {Promise<Object>} - The model's raw JSON output, validated by the caller.
+ */
+const classify = async (image, description) => {
+  try {
+    // 1. Initialize models
+    // Defaults to gemini-2.5-flash for image analysis (free-tier friendly)
+    const visionModel = genAI.getGenerativeModel({ model: GEMINI_MODEL });
+
+    // 2. Prepare the prompt for classification
+    // We combine vision and text analysis in one step if possible, 
+    // or use vision to describe and text to categorize.
+    // For a hackathon, a single combined prompt for gemini-1.5-flash is efficient.
+    // Categories come from config/categories.js; the department mapping is applied afterwards.
+    const categoryIds = CATEGORIES.map((category) => `"${category.id}"`).join(', ');
+    const categoryGuide = CATEGORIES
+      .map((category) => `         - **"${category.id}"**: ${category.description}`)
+      .join('\n');
+    
+    const prompt = `
+      You are an AI civic assistant for the CivicLens platform.
+      Analyze the following civic issue based on the image provided and the user's description.
+
+      First, determine if the provided image and description are genuinely related to a civic issue.
+      If the image and description are NOT related to a civic issue (e.g., personal photos, irrelevant content),
+      return ONLY the following JSON object:
+      {
+        "error": "Image/description not related to civic issues."
+      }
+      DO NOT proceed with classification if it's not a civic issue.
+
+      If it IS a civic issue, proceed with the following tasks:
+
+      User Description: "${description}"
+
+      Tasks:
+      1. **Analyze the image and description carefully.**
+      2. Identify the most specific type of issue from this EXACT list: [${categoryIds}].
+${categoryGuide}
+
+      3. Rate how confident you are in the chosen issue_type from 0.0 (guess) to 1.0 (certain).
+      4. Give a one-sentence rationale describing what in the image or description led to your choice.
+
+      Return the result ONLY as a valid JSON object with the following keys:
+      {
+        "issue_type": "string",
+        "confidence": number,
+        "rationale": "string"
+      }
+
+      Example:
+      User Description: "There's a huge hole in the road near the park."
+      Image: (Image showing a pothole)
+      Expected Output:
+      {
+        "issue_type": "pothole",
+        "confidence": 0.92,
+        "rationale": "The photo shows a deep hole in the asphalt and the description mentions a hole in the road."
+      }
+
+      DO NOT include any extra text, explanations, or markdown. Just the raw JSON object.
+    `;
+
+    // 3. Run AI classification with the image bytes attached
+    // (Gemini requires base64/bytes for images in Node.js; the upload pipeline
+    // re-encodes images, so the stored mime type is the real one)
+    const result = await visionModel.generateContent([prompt, toInlineImage(image)]);
+    const response = await result.response;
+
+    // 4. Parse JSON from response
+    // Shape and values are checked against the classifier output schema by the caller
+    return extractJson(response.text());
+
+  } catch (error) {
+    console.error('Gemini Classification Error:', error);
+    // Surface the failure so the classification queue can retry it
+    // instead of disguising it as "other"/"head"
+    throw error;
+  }
+};
+
+/**
+ * Compares the original report photo with the photo an authority submitted as proof of the fix.
+ * @param {{ data: Buffer, mimeType: string }} before - The citizen's original image.
+ * @param {{ data: Buffer, mimeType: string }} after - The resolution image.
+ * @param {{ issueType: string, description: string }} context - What was reported.
+ * @returns {Promise<Object>} - The model's raw JSON output, validated by the caller.
+ */
+const compareResolution = async (before, after, { issueType, description }) => {
+  try {
+    const visionModel = genAI.getGenerativeModel({ model: GEMINI_MODEL });
+
+    const prompt = `
+      You are an AI civic assistant for the CivicLens platform, auditing resolved civic issues.
+      The FIRST image is the citizen's original report. The SECOND image was submitted by a
+      municipal authority as proof that the issue has been fixed.
+
+      Reported issue type: "${issueType || 'unknown'}"
+      Citizen's description: "${description}"
+
+      Decide on exactly one verdict:
+      - "fixed": same location, and the reported problem is no longer visible.
+      - "not_fixed": same location, but the reported problem is still visible.
+      - "different_scene": the second photo does not show the same place as the first.
+      - "uncertain": the photos do not allow a confident decision (blurry, too dark, too close, ...).
+
+      Rate how confident you are in the verdict from 0.0 (guess) to 1.0 (certain), and give a
+      one-sentence rationale pointing at what you compared (landmarks, road markings, the defect itself).
+
+      Return the result ONLY as a valid JSON object with the following keys:
+      {
+        "verdict": "string",
+        "confidence": number,
+        "rationale": "string"
+      }
+
+      DO NOT include any extra text, explanations, or markdown. Just the raw JSON object.
+    `;
+
+    const result = await visionModel.generateContent([prompt, toInlineImage(before), toInlineImage(after)]);
+    const response = await result.response;
+
+    return extractJson(response.text());
+  } catch (error) {
+    console.error('Gemini Resolution Comparison Error:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  name: 'gemini',
+  isAvailable: () => Boolean(process.env.GEMINI_API_KEY),
+  classify,
+  compareResolution
+};
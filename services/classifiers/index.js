@@ -0,0 +1,121 @@
+const { ISSUE_TYPE_TO_DEPARTMENT } = require('../../config/categories');
+const { validateClassifierOutput, validateComparisonOutput } = require('./schema');
+const gemini = require('./gemini');
+const keyword = require('./keyword');
+const stub = require('./stub');
+require('dotenv').config();
+
+/**
+ * Classifier providers. Each exposes:
+ *   name: string
+ *   isAvailable(): boolean - whether it is configured to run
+ *   classify(image, description): Promise<Object> - output matching ./schema.js
+ *   compareResolution(before, after, context)?: Promise<Object> - optional, output matching ./schema.js
+ */
+const PROVIDERS = { gemini, keyword, stub };
+
+const PRIMARY_PROVIDER = process.env.CLASSIFIER_PROVIDER || 'gemini';
+// Optional provider to try when the primary one fails, e.g. CLASSIFIER_FALLBACK=keyword
+const FALLBACK_PROVIDER = process.env.CLASSIFIER_FALLBACK || null;
+
+const getProvider = (name) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown classifier provider '${name}'`);
+  }
+  return provider;
+};
+
+/**
+ * The configured provider, or the offline keyword provider when it cannot run
+ * (e.g. no GEMINI_API_KEY).
+ */
+const getPrimaryProvider = () => {
+  const provider = getProvider(PRIMARY_PROVIDER);
+  if (provider.isAvailable()) return provider;
+
+  console.warn(`Classifier: Provider '${provider.name}' is not configured, using offline keyword provider`);
+  return keyword;
+};
+
+/**
+ * Classifies an issue with the configured provider and maps the issue_type to its
+ * department using config/categories.js.
+ * @returns {Promise<Object>} - { issue_type, confidence, rationale, assigned_authority, provider } or { error, provider }
+ */
+const classifyIssue = async (image, description) => {
+  let provider = getPrimaryProvider();
+  let result;
+
+  try {
+    result = await provider.classify(image, description);
+  } catch (error) {
+    if (!FALLBACK_PROVIDER || FALLBACK_PROVIDER === provider.name) {
+      throw error;
+    }
+    console.warn(`Classifier: '${provider.name}' failed, using '${FALLBACK_PROVIDER}' fallback:`, error.message);
+    provider = getProvider(FALLBACK_PROVIDER);
+    result = { ...(await provider.classify(image, description)), fallback_reason: error.message };
+  }
+
+  // Invalid output counts as a failed attempt so the queue retries it
+  const { value, errors } = validateClassifierOutput(result);
+  if (errors) {
+    console.error(`Classifier: '${provider.name}' returned invalid output:`, result);
+    throw new Error(`Classifier '${provider.name}' returned invalid output: ${errors.join('; ')}`);
+  }
+
+  const extras = result.fallback_reason ? { fallback_reason: result.fallback_reason } : {};
+
+  if (value.error) {
+    return { error: value.error, provider: provider.name, ...extras };
+  }
+
+  return {
+    ...value,
+    assigned_authority: ISSUE_TYPE_TO_DEPARTMENT[value.issue_type],
+    provider: provider.name,
+    ...extras
+  };
+};
+
+/**
+ * Compares the original report image with the resolution image, trying the primary
+ * provider and then the fallback. Providers without compareResolution are skipped.
+ * @returns {Promise<Object|null>} - { verdict, confidence, rationale, provider }, or null when no configured provider can compare images.
+ */
+const compareResolutionImages = async (before, after, context) => {
+  const candidates = [getPrimaryProvider(), FALLBACK_PROVIDER && getProvider(FALLBACK_PROVIDER)]
+    .filter((provider) => provider && provider.compareResolution);
+  const [provider, fallback] = [...new Set(candidates)];
+  if (!provider) {
+    return null;
+  }
+
+  let used = provider;
+  let result;
+  try {
+    result = await provider.compareResolution(before, after, context);
+  } catch (error) {
+    if (!fallback) {
+      throw error;
+    }
+    console.warn(`Classifier: '${provider.name}' comparison failed, using '${fallback.name}' fallback:`, error.message);
+    used = fallback;
+    result = { ...(await fallback.compareResolution(before, after, context)), fallback_reason: error.message };
+  }
+
+  const { value, errors } = validateComparisonOutput(result);
+  if (errors) {
+    console.error(`Classifier: '${used.name}' returned invalid comparison output:`, result);
+    throw new Error(`Classifier '${used.name}' returned invalid comparison output: ${errors.join('; ')}`);
+  }
+
+  return {
+    ...value,
+    provider: used.name,
+    ...(result.fallback_reason ? { fallback_reason: result.fallback_reason } : {})
+  };
+};
+
+module.exports = { PROVIDERS, classifyIssue, compareResolutionImages };
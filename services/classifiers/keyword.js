@@ -0,0 +1,42 @@
+const { CATEGORIES, FALLBACK_ISSUE_TYPE } = require('../../config/categories');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words only, so 'hole' does not match 'whole'; simple inflections ('potholes',
+// 'flooded', 'waterlogged') still count
+const KEYWORD_PATTERNS = new Map(CATEGORIES.map((category) => [
+  category.id,
+  category.keywords.map((keyword) => new RegExp(`\\b${escapeRegExp(keyword.toLowerCase())}(?:s|es|ed|ged|ing)?\\b`))
+]));
+
+/**
+ * Offline, deterministic classifier: picks the category whose keywords appear most
+ * often in the description. Ties go to the category listed first in config/categories.js.
+ * It cannot look at the image, so it never rejects a report as "not a civic issue"
+ * and has no compareResolution.
+ */
+const classify = async (image, description) => {
+  const text = String(description || '').toLowerCase();
+
+  let best = { id: FALLBACK_ISSUE_TYPE, score: 0 };
+  for (const category of CATEGORIES) {
+    const score = KEYWORD_PATTERNS.get(category.id).reduce((total, pattern) => total + (pattern.test(text) ? 1 : 0), 0);
+    if (score > best.score) {
+      best = { id: category.id, score };
+    }
+  }
+
+  // More matching keywords means more confidence, but never certainty from text alone
+  const confidence = best.score === 0 ? 0.2 : Math.min(0.4 + 0.15 * best.score, 0.85);
+  const rationale = best.score === 0
+    ? 'No category keywords found in the description.'
+    : `Description matched ${best.score} keyword(s) for '${best.id}'.`;
+
+  return { issue_type: best.id, confidence, rationale };
+};
+
+module.exports = {
+  name: 'keyword',
+  isAvailable: () => true,
+  classify
+};
@@ -0,0 +1,90 @@
+const { ISSUE_TYPES } = require('../../config/categories');
+
+const MAX_RATIONALE_LENGTH = 500;
+
+// Outcomes of comparing the original report photo with the resolution photo
+const RESOLUTION_VERDICTS = ['fixed', 'not_fixed', 'different_scene', 'uncertain'];
+
+const isConfidence = (value) => value !== undefined && value !== null
+  && Number.isFinite(Number(value)) && Number(value) >= 0 && Number(value) <= 1;
+
+const normalizeRationale = (rationale) => (rationale ? rationale.trim().slice(0, MAX_RATIONALE_LENGTH) : null);
+
+/**
+ * Validates a provider's raw output.
+ * Accepted shapes:
+ *   { error: string }                                          - not a civic issue
+ *   { issue_type: one of ISSUE_TYPES, confidence: 0..1, rationale?: string }
+ * @returns {{ value?: Object, errors?: string[] }} - The normalized output, or what is wrong with it.
+ */
+const validateClassifierOutput = (output) => {
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    return { errors: ['output must be a JSON object'] };
+  }
+
+  if (output.error !== undefined) {
+    if (typeof output.error !== 'string' || output.error.trim() === '') {
+      return { errors: ['error must be a non-empty string'] };
+    }
+    return { value: { error: output.error.trim() } };
+  }
+
+  const errors = [];
+  if (!ISSUE_TYPES.includes(output.issue_type)) {
+    errors.push(`issue_type must be one of: ${ISSUE_TYPES.join(', ')}`);
+  }
+  if (!isConfidence(output.confidence)) {
+    errors.push('confidence must be a number between 0 and 1');
+  }
+  if (output.rationale !== undefined && typeof output.rationale !== 'string') {
+    errors.push('rationale must be a string');
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    value: {
+      issue_type: output.issue_type,
+      confidence: Number(output.confidence),
+      rationale: normalizeRationale(output.rationale)
+    }
+  };
+};
+
+/**
+ * Validates a provider's raw before/after comparison output.
+ * Accepted shape: { verdict: one of RESOLUTION_VERDICTS, confidence: 0..1, rationale?: string }
+ * @returns {{ value?: Object, errors?: string[] }} - The normalized output, or what is wrong with it.
+ */
+const validateComparisonOutput = (output) => {
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    return { errors: ['output must be a JSON object'] };
+  }
+
+  const errors = [];
+  if (!RESOLUTION_VERDICTS.includes(output.verdict)) {
+    errors.push(`verdict must be one of: ${RESOLUTION_VERDICTS.join(', ')}`);
+  }
+  if (!isConfidence(output.confidence)) {
+    errors.push('confidence must be a number between 0 and 1');
+  }
+  if (output.rationale !== undefined && typeof output.rationale !== 'string') {
+    errors.push('rationale must be a string');
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    value: {
+      verdict: output.verdict,
+      confidence: Number(output.confidence),
+      rationale: normalizeRationale(output.rationale)
+    }
+  };
+};
+
+module.exports = { RESOLUTION_VERDICTS, validateClassifierOutput, validateComparisonOutput };
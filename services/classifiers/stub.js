@@ -0,0 +1,39 @@
+const { FALLBACK_ISSUE_TYPE } = require('../../config/categories');
+
+// Fixed result for tests and local development,
+// e.g. CLASSIFIER_STUB_RESULT='{"issue_type":"pothole","confidence":1}'
+let stubResult = process.env.CLASSIFIER_STUB_RESULT
+  ? JSON.parse(process.env.CLASSIFIER_STUB_RESULT)
+  : { issue_type: FALLBACK_ISSUE_TYPE, confidence: 1, rationale: 'Stub classifier' };
+
+// e.g. CLASSIFIER_STUB_COMPARISON='{"verdict":"not_fixed","confidence":0.9}'
+let stubComparison = process.env.CLASSIFIER_STUB_COMPARISON
+  ? JSON.parse(process.env.CLASSIFIER_STUB_COMPARISON)
+  : { verdict: 'fixed', confidence: 1, rationale: 'Stub classifier' };
+
+const setStubResult = (result) => {
+  stubResult = result;
+};
+
+const setStubComparison = (result) => {
+  stubComparison = result;
+};
+
+const classify = async () => {
+  if (stubResult instanceof Error) throw stubResult;
+  return { ...stubResult };
+};
+
+const compareResolution = async () => {
+  if (stubComparison instanceof Error) throw stubComparison;
+  return { ...stubComparison };
+};
+
+module.exports = {
+  name: 'stub',
+  isAvailable: () => true,
+  classify,
+  compareResolution,
+  setStubResult,
+  setStubComparison
+};
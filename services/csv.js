@@ -0,0 +1,47 @@
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV line (without line break). Text that a spreadsheet would run as a formula is
+ * defused with a leading quote: every CSV this API sends may end up opened in Excel.
+ * @param {Object} row
+ * @param {string[]} columns
+ */
+const toCsvLine = (row, columns) => columns.map((column) => {
+  const value = row[column];
+  if (typeof value === 'string' && FORMULA_PREFIX.test(value)) {
+    return escapeCsvValue(`'${value}`);
+  }
+  return escapeCsvValue(value);
+}).join(',');
+
+/**
+ * Serializes rows to CSV text.
+ * @param {Object[]} rows
+ * @param {string[]} columns - Keys to emit, in order. Also used as the header row.
+ * @returns {string}
+ */
+const toCsv = (rows, columns) => {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(toCsvLine(row, columns));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Sends rows as a CSV download.
+ */
+const sendCsv = (res, filename, rows, columns) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(toCsv(rows, columns));
+};
+
+module.exports = { escapeCsvValue, toCsvLine, toCsv, sendCsv };
@@ -0,0 +1,210 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { fetchAllRows } = require('./fetchAll');
+const { removeImages } = require('./uploads');
+const { writeAudit } = require('./audit');
+const { publishIssueEvent } = require('./issueEvents');
+const { UUID_PATTERN } = require('../middlewares/validate');
+require('dotenv').config();
+
+// Days a soft-deleted issue stays restorable before it is purged for good
+const DELETED_RETENTION_DAYS = Number(process.env.DELETED_RETENTION_DAYS) || 30;
+
+// Keeps PostgREST "in" filters to a sane URL length
+const PURGE_BATCH_SIZE = 100;
+
+/**
+ * Soft-deletes issues and records who did it and why.
+ * @returns {Promise<Array<{ id: string, result: 'deleted'|'not_found'|'already_deleted'|'invalid_id' }>>} - One entry per requested id, in order.
+ */
+const softDeleteIssues = async (issueIds, actorId, reason) => {
+  const ids = [...new Set(issueIds)];
+  const validIds = ids.filter((id) => UUID_PATTERN.test(String(id)));
+
+  let existing = [];
+  if (validIds.length > 0) {
+    const { data, error } = await supabaseAdmin
+      .from('issues')
+      .select('id, citizen_id, department, deleted_at')
+      .in('id', validIds);
+
+    if (error) {
+      throw error;
+    }
+    existing = data;
+  }
+
+  const byId = new Map(existing.map((issue) => [issue.id, issue]));
+  const toDelete = existing.filter((issue) => !issue.deleted_at).map((issue) => issue.id);
+
+  if (toDelete.length > 0) {
+    const now = new Date().toISOString();
+    const { error: deleteError } = await supabaseAdmin
+      .from('issues')
+      .update({ deleted_at: now, deleted_by: actorId, delete_reason: reason })
+      .in('id', toDelete)
+      .is('deleted_at', null);
+
+    if (deleteError) {
+      throw deleteError;
+    }
+
+    try {
+      await writeAudit(toDelete.map((id) => ({
+        entity_type: 'issue',
+        entity_id: id,
+        action: 'delete',
+        actor_id: actorId,
+        reason
+      })));
+    } catch (auditError) {
+      // Undo rather than leave deletions nobody can account for
+      await supabaseAdmin
+        .from('issues')
+        .update({ deleted_at: null, deleted_by: null, delete_reason: null })
+        .in('id', toDelete);
+      throw auditError;
+    }
+
+    for (const id of toDelete) {
+      publishIssueEvent('issue_deleted', byId.get(id), { action: 'delete', changedBy: actorId, details: { reason } });
+    }
+  }
+
+  return ids.map((id) => {
+    if (!UUID_PATTERN.test(String(id))) return { id, result: 'invalid_id' };
+    const issue = byId.get(id);
+    if (!issue) return { id, result: 'not_found' };
+    return { id, result: issue.deleted_at ? 'already_deleted' : 'deleted' };
+  });
+};
+
+/**
+ * Brings a soft-deleted issue back.
+ * @returns {Promise<Object|null>} - The restored issue, or null if it is not in the trash.
+ */
+const restoreIssue = async (issueId, actorId, reason) => {
+  const { data: issue, error } = await supabaseAdmin
+    .from('issues')
+    .update({ deleted_at: null, deleted_by: null, delete_reason: null })
+    .eq('id', issueId)
+    .not('deleted_at', 'is', null)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!issue) {
+    return null;
+  }
+
+  await writeAudit([{ entity_type: 'issue', entity_id: issueId, action: 'restore', actor_id: actorId, reason }]);
+  publishIssueEvent('issue_restored', issue, { action: 'restore', changedBy: actorId, details: { reason } });
+  return issue;
+};
+
+/**
+ * Issues merged into the given ones, directly or through a chain of merges. The database
+ * removes these along with the issue they were merged into (on delete cascade).
+ * @returns {Promise<Array<{ id: string, image_path: string|null, resolved_image_path: string|null, root: string }>>}
+ *   root is the id from issueIds the duplicate ends up merged into.
+ */
+const findMergedDuplicates = async (issueIds) => {
+  const found = [];
+  let parents = issueIds.map((id) => ({ id, root: id }));
+
+  while (parents.length > 0) {
+    const rootOf = new Map(parents.map((parent) => [parent.id, parent.root]));
+    const children = await fetchAllRows(() => supabaseAdmin
+      .from('issues')
+      .select('id, image_path, resolved_image_path, merged_into')
+      .in('merged_into', parents.map((parent) => parent.id))
+      .order('id', { ascending: true }));
+
+    parents = children.map((child) => ({ ...child, root: rootOf.get(child.merged_into) }));
+    found.push(...parents);
+  }
+  return found;
+};
+
+/**
+ * Permanently removes issues that have been in the trash longer than the retention period,
+ * together with their stored images and those of duplicates merged into them.
+ * @returns {Promise<number>} - Number of issues purged.
+ */
+const purgeDeletedIssues = async () => {
+  const cutoff = new Date(Date.now() - DELETED_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const expired = await fetchAllRows(() => supabaseAdmin
+    .from('issues')
+    .select('id')
+    .lt('deleted_at', cutoff)
+    .order('id', { ascending: true }));
+
+  let purged = 0;
+  for (let i = 0; i < expired.length; i += PURGE_BATCH_SIZE) {
+    const batchIds = expired.slice(i, i + PURGE_BATCH_SIZE).map((issue) => issue.id);
+    const duplicates = await findMergedDuplicates(batchIds);
+
+    // Work order progress photos go with the issue (their rows cascade, their files do not)
+    const { data: photos, error: photosError } = await supabaseAdmin
+      .from('work_order_photos')
+      .select('image_path, work_order:work_orders!inner(issue_id)')
+      .in('work_order.issue_id', [...batchIds, ...duplicates.map((duplicate) => duplicate.id)]);
+
+    if (photosError) {
+      throw photosError;
+    }
+
+    // Checked again here: an issue restored since it was listed must survive
+    const { data: deleted, error } = await supabaseAdmin
+      .from('issues')
+      .delete()
+      .in('id', batchIds)
+      .not('deleted_at', 'is', null)
+      .lt('deleted_at', cutoff)
+      .select('id, image_path, resolved_image_path, deleted_at, deleted_by, delete_reason');
+
+    if (error) {
+      throw error;
+    }
+    if (deleted.length === 0) {
+      continue;
+    }
+    purged += deleted.length;
+
+    await writeAudit(deleted.map((issue) => ({
+      entity_type: 'issue',
+      entity_id: issue.id,
+      action: 'purge',
+      actor_id: null,
+      reason: `Retention period of ${DELETED_RETENTION_DAYS} days elapsed`,
+      details: { deleted_at: issue.deleted_at, deleted_by: issue.deleted_by, delete_reason: issue.delete_reason }
+    })));
+
+    const deletedIds = new Set(deleted.map((issue) => issue.id));
+    const removed = [...deleted, ...duplicates.filter((duplicate) => deletedIds.has(duplicate.root))];
+    const removedIds = new Set(removed.map((issue) => issue.id));
+
+    try {
+      await removeImages([
+        ...removed.flatMap((issue) => [issue.image_path, issue.resolved_image_path]),
+        ...photos.filter((photo) => removedIds.has(photo.work_order.issue_id)).map((photo) => photo.image_path)
+      ]);
+    } catch (storageError) {
+      console.error('Purge: Could not remove stored images:', storageError.message);
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`Purged ${purged} deleted issue(s)`);
+  }
+  return purged;
+};
+
+module.exports = {
+  DELETED_RETENTION_DAYS,
+  softDeleteIssues,
+  restoreIssue,
+  purgeDeletedIssues
+};
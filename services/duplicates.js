@@ -0,0 +1,148 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { haversineDistance, boundingBox } = require('./geo');
+const { OPEN_STATUSES } = require('./lifecycle');
+const { updateIssueWithLog } = require('./issueLog');
+require('dotenv').config();
+
+const DUPLICATE_RADIUS_METERS = Number(process.env.DUPLICATE_RADIUS_METERS) || 50;
+const DUPLICATE_WINDOW_HOURS = Number(process.env.DUPLICATE_WINDOW_HOURS) || 72;
+
+/**
+ * Finds the closest open issue of the same type reported near the given point
+ * within the configured time window.
+ * @param {Object} [options] - excludeId: issue to ignore (the one being checked), before: only match older issues
+ * @returns {Promise<Object|null>} - The matching issue, or null if the report is new.
+ */
+const findDuplicateIssue = async (issueType, lat, lng, { excludeId, before } = {}) => {
+  const box = boundingBox(lat, lng, DUPLICATE_RADIUS_METERS);
+  const since = new Date(Date.now() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+
+  let query = supabaseAdmin
+    .from('issues')
+    .select('*')
+    .eq('issue_type', issueType)
+    .in('status', OPEN_STATUSES) // Only issues still being worked on can absorb new reports
+    .is('merged_into', null)
+    .is('deleted_at', null)
+    .gte('created_at', since)
+    .gte('location_lat', box.minLat)
+    .lte('location_lat', box.maxLat)
+    .gte('location_lng', box.minLng)
+    .lte('location_lng', box.maxLng);
+
+  if (excludeId) query = query.neq('id', excludeId);
+  if (before) query = query.lt('created_at', before);
+
+  const { data: candidates, error } = await query;
+  if (error) {
+    throw error;
+  }
+
+  let closest = null;
+  let closestDistance = Infinity;
+  for (const candidate of candidates || []) {
+    const distance = haversineDistance(lat, lng, candidate.location_lat, candidate.location_lng);
+    if (distance <= DUPLICATE_RADIUS_METERS && distance < closestDistance) {
+      closest = candidate;
+      closestDistance = distance;
+    }
+  }
+
+  return closest;
+};
+
+/**
+ * Attaches a supporting ("+1") report to an existing issue and bumps its support count.
+ * @returns {Promise<Object>} - The updated issue.
+ */
+const attachSupportingReport = async (issue, report) => {
+  const { error: reportError } = await supabaseAdmin
+    .from('issue_reports')
+    .insert([{ ...report, issue_id: issue.id }]);
+
+  if (reportError) {
+    throw reportError;
+  }
+
+  return refreshSupportCount(issue.id);
+};
+
+/**
+ * Folds one issue into another: its supporting reports move to the target, it becomes
+ * a supporting report of the target itself, and it is hidden from listings via merged_into.
+ * The source gets a 'merged_into' log entry together with that last step.
+ * @param {Object} [log] - { changedBy, details } for the source's log entry
+ * @returns {Promise<Object>} - The updated target issue.
+ */
+const mergeIssueInto = async (source, targetId, { changedBy = null, details = {} } = {}) => {
+  const { error: moveError } = await supabaseAdmin
+    .from('issue_reports')
+    .update({ issue_id: targetId })
+    .eq('issue_id', source.id);
+
+  if (moveError) {
+    throw moveError;
+  }
+
+  const { error: reportError } = await supabaseAdmin
+    .from('issue_reports')
+    .insert([{
+      issue_id: targetId,
+      citizen_id: source.citizen_id,
+      image_url: source.image_url,
+      description: source.description,
+      location_lat: source.location_lat,
+      location_lng: source.location_lng,
+      merged_from_issue_id: source.id,
+      created_at: source.created_at
+    }]);
+
+  if (reportError) {
+    throw reportError;
+  }
+
+  await updateIssueWithLog(source.id, { merged_into: targetId, support_count: 0 }, {
+    action: 'merged_into',
+    changedBy,
+    details: { target_issue_id: targetId, ...details }
+  });
+
+  return refreshSupportCount(targetId);
+};
+
+/**
+ * Recomputes issues.support_count from the issue_reports table.
+ * @returns {Promise<Object>} - The updated issue.
+ */
+const refreshSupportCount = async (issueId) => {
+  const { count, error: countError } = await supabaseAdmin
+    .from('issue_reports')
+    .select('id', { count: 'exact', head: true })
+    .eq('issue_id', issueId);
+
+  if (countError) {
+    throw countError;
+  }
+
+  const { data: updatedIssue, error: updateError } = await supabaseAdmin
+    .from('issues')
+    .update({ support_count: count || 0 })
+    .eq('id', issueId)
+    .select()
+    .single();
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return updatedIssue;
+};
+
+module.exports = {
+  DUPLICATE_RADIUS_METERS,
+  DUPLICATE_WINDOW_HOURS,
+  findDuplicateIssue,
+  attachSupportingReport,
+  mergeIssueInto,
+  refreshSupportCount
+};
@@ -0,0 +1,88 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+const MAX_COMMENT_LENGTH = 2000;
+const DEFAULT_COMMENT_LIMIT = 50;
+
+// What anyone may see of a comment: the author is only identified by role
+const PUBLIC_COMMENT_COLUMNS = 'id, issue_id, body, author_role, is_official, created_at, updated_at';
+
+/**
+ * Recomputes issues.vote_count from the issue_votes table in one database call
+ * (see db/migrations/017_engagement_counts.sql), so concurrent votes cannot overwrite
+ * each other's count. priority_score follows automatically (generated column).
+ * @returns {Promise<Object>} - The updated issue.
+ */
+const refreshVoteCount = async (issueId) => {
+  const { data: issue, error } = await supabaseAdmin
+    .rpc('refresh_issue_vote_count', { p_issue_id: issueId })
+    .single();
+
+  if (error) {
+    throw error;
+  }
+  return issue;
+};
+
+/**
+ * Recomputes issues.comment_count, ignoring deleted comments, the same way.
+ */
+const refreshCommentCount = async (issueId) => {
+  const { data: issue, error } = await supabaseAdmin
+    .rpc('refresh_issue_comment_count', { p_issue_id: issueId })
+    .single();
+
+  if (error) {
+    throw error;
+  }
+  return issue.comment_count;
+};
+
+/**
+ * Oldest-first comments on an issue, in their public shape.
+ * @param {Object} [options] - { limit, after } where after is a created_at timestamp to page from
+ */
+const listComments = async (issueId, { limit = DEFAULT_COMMENT_LIMIT, after } = {}) => {
+  let query = supabaseAdmin
+    .from('issue_comments')
+    .select(PUBLIC_COMMENT_COLUMNS)
+    .eq('issue_id', issueId)
+    .is('deleted_at', null)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (after) {
+    query = query.gt('created_at', new Date(after).toISOString());
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+/**
+ * Users following an issue, for notifications.
+ * @returns {Promise<string[]>}
+ */
+const getFollowerIds = async (issueId) => {
+  const { data, error } = await supabaseAdmin
+    .from('issue_follows')
+    .select('user_id')
+    .eq('issue_id', issueId);
+
+  if (error) {
+    throw error;
+  }
+  return data.map((row) => row.user_id);
+};
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  DEFAULT_COMMENT_LIMIT,
+  PUBLIC_COMMENT_COLUMNS,
+  refreshVoteCount,
+  refreshCommentCount,
+  listComments,
+  getFollowerIds
+};
@@ -0,0 +1,29 @@
+// PostgREST caps rows per request, so large reads are done in chunks
+const CHUNK_SIZE = 1000;
+
+/**
+ * Reads every row of a query by paging through it with range().
+ * @param {Function} buildQuery - Returns a fresh, ordered Supabase query on each call.
+ * @param {Object} [options] - { maxRows } stops reading once more than maxRows rows came back
+ *   (returning at most maxRows + 1, so callers can tell the result was cut short).
+ * @returns {Promise<Object[]>}
+ */
+const fetchAllRows = async (buildQuery, { maxRows = Infinity } = {}) => {
+  const rows = [];
+
+  for (let offset = 0; ; offset += CHUNK_SIZE) {
+    const end = Math.min(offset + CHUNK_SIZE, maxRows + 1) - 1;
+    const { data, error } = await buildQuery().range(offset, end);
+
+    if (error) {
+      throw error;
+    }
+
+    rows.push(...data);
+    if (data.length < end - offset + 1 || rows.length > maxRows) break;
+  }
+
+  return rows;
+};
+
+module.exports = { CHUNK_SIZE, fetchAllRows };
@@ -0,0 +1,102 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two coordinates using the haversine formula.
+ * @returns {number} - Distance in meters.
+ */
+const haversineDistance = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Lat/lng bounding box that fully contains a circle of the given radius.
+ * Used to pre-filter rows in the database before the exact distance check.
+ */
+const boundingBox = (lat, lng, radiusMeters) => {
+  const latDelta = (radiusMeters / EARTH_RADIUS_METERS) * (180 / Math.PI);
+  const lngDelta = latDelta / Math.max(Math.cos(toRadians(lat)), 1e-6);
+  return {
+    minLat: lat - latDelta,
+    maxLat: lat + latDelta,
+    minLng: lng - lngDelta,
+    maxLng: lng + lngDelta
+  };
+};
+
+const isValidLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+
+const isValidLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+
+/**
+ * Ray-casting test of a point against one GeoJSON linear ring ([lng, lat] pairs).
+ */
+const pointInRing = (lng, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > lat) !== (yj > lat)
+      && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// First ring is the outer boundary, the rest are holes
+const pointInPolygonRings = (lng, lat, rings) => pointInRing(lng, lat, rings[0])
+  && !rings.slice(1).some((hole) => pointInRing(lng, lat, hole));
+
+/**
+ * Whether a point lies inside a GeoJSON Polygon or MultiPolygon geometry.
+ */
+const pointInGeometry = (lat, lng, geometry) => {
+  if (geometry.type === 'Polygon') {
+    return pointInPolygonRings(lng, lat, geometry.coordinates);
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some((rings) => pointInPolygonRings(lng, lat, rings));
+  }
+  return false;
+};
+
+/**
+ * Validates a GeoJSON Polygon or MultiPolygon geometry.
+ * @returns {string|null} - An error message, or null if the geometry is valid.
+ */
+const validatePolygonGeometry = (geometry) => {
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return 'geometry must be a Polygon or MultiPolygon';
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return 'geometry has no coordinates';
+  }
+
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || rings.length === 0) return 'polygon has no rings';
+    for (const ring of rings) {
+      if (!Array.isArray(ring) || ring.length < 4) return 'each ring needs at least 4 positions';
+      const validPositions = ring.every((position) => Array.isArray(position)
+        && isValidLongitude(position[0]) && isValidLatitude(position[1]));
+      if (!validPositions) return 'ring contains invalid [lng, lat] positions';
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  haversineDistance,
+  boundingBox,
+  isValidLatitude,
+  isValidLongitude,
+  pointInGeometry,
+  validatePolygonGeometry
+};
@@ -0,0 +1,127 @@
+const { EventEmitter } = require('events');
+const { getFollowerIds } = require('./engagement');
+const { isPublicIssue } = require('./publicIssues');
+require('dotenv').config();
+
+const ISSUE_EVENT_TYPES = ['issue_created', 'status_changed', 'reassigned', 'issue_deleted', 'issue_restored'];
+
+// Events kept in memory so a reconnecting stream can catch up from its Last-Event-ID
+const REPLAY_BUFFER_SIZE = Number(process.env.SSE_REPLAY_BUFFER_SIZE) || 1000;
+
+// Event ids are "<boot>-<sequence>": an id from before a restart is recognisably unknown
+const BOOT_ID = Date.now().toString(36);
+let sequence = 0;
+
+const emitter = new EventEmitter();
+// One listener per open stream
+emitter.setMaxListeners(0);
+
+const buffer = [];
+
+/**
+ * Announces a change to an issue to every open event stream (see GET /issues/stream).
+ * Like notifications this is fire and forget: it never throws.
+ * @param {string} type - One of ISSUE_EVENT_TYPES
+ * @param {Object} issue - The issue row after the change
+ * @param {Object} [options] - { action, changedBy, details, previousDepartment }
+ */
+const publishIssueEvent = (type, issue, { action = null, changedBy = null, details = null, previousDepartment = null } = {}) => {
+  if (!issue) return;
+
+  try {
+    sequence += 1;
+    const event = {
+      id: `${BOOT_ID}-${sequence}`,
+      type,
+      issue,
+      action,
+      changedBy,
+      details,
+      previousDepartment,
+      at: new Date().toISOString()
+    };
+
+    buffer.push(event);
+    if (buffer.length > REPLAY_BUFFER_SIZE) buffer.shift();
+    emitter.emit('event', event);
+  } catch (error) {
+    console.error(`Issue events: Could not publish ${type} for issue ${issue.id}:`, error);
+  }
+};
+
+/**
+ * Publishes the events implied by an update made through updateIssueWithLog.
+ */
+const publishIssueUpdate = (issue, changes, log) => {
+  if ('status' in changes) {
+    publishIssueEvent('status_changed', issue, log);
+  }
+  if ('department' in changes || 'assigned_authority' in changes) {
+    publishIssueEvent('reassigned', issue, { ...log, previousDepartment: log.details?.old_department || null });
+  }
+};
+
+/**
+ * Events published after lastEventId, oldest first.
+ * @returns {Object[]|null} - null if the id is unknown (from before a restart, or too old to replay).
+ */
+const getEventsSince = (lastEventId) => {
+  const index = buffer.findIndex((event) => event.id === lastEventId);
+  return index === -1 ? null : buffer.slice(index + 1);
+};
+
+/**
+ * @param {Function} listener - Called with every published event
+ * @returns {Function} - Unsubscribes the listener.
+ */
+const subscribeToIssueEvents = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+/**
+ * Followers of the event's issue, looked up once per event however many streams ask.
+ */
+const getEventFollowerIds = (event) => {
+  if (!event.followerIds) {
+    event.followerIds = getFollowerIds(event.issue.id).catch((error) => {
+      console.error(`Issue events: Could not load followers of issue ${event.issue.id}:`, error.message);
+      event.followerIds = null;
+      return [];
+    });
+  }
+  return event.followerIds;
+};
+
+/**
+ * Whether a stream should receive an event, given who is listening and what they asked for.
+ * Authorities get every event (department authorities only their department's, including
+ * issues reassigned away from it), citizens only events on issues they reported or follow,
+ * and anonymous listeners the public wall (no unclassified or AI-rejected reports).
+ * @param {Object} event
+ * @param {Object} subscriber - { user, department, types }
+ */
+const isEventVisibleTo = async (event, { user, department, types }) => {
+  if (types && !types.includes(event.type)) return false;
+
+  if (department && event.issue.department !== department && event.previousDepartment !== department) {
+    return false;
+  }
+
+  if (!user) return isPublicIssue(event.issue);
+  if (user.role === 'head_authority') return true;
+  if (user.role === 'department_authority') {
+    return Boolean(user.department) && (event.issue.department === user.department || event.previousDepartment === user.department);
+  }
+  if (event.issue.citizen_id === user.id) return true;
+  return (await getEventFollowerIds(event)).includes(user.id);
+};
+
+module.exports = {
+  ISSUE_EVENT_TYPES,
+  publishIssueEvent,
+  publishIssueUpdate,
+  getEventsSince,
+  subscribeToIssueEvents,
+  isEventVisibleTo
+};
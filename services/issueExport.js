@@ -0,0 +1,180 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { CATEGORIES } = require('../config/categories');
+const { OPEN_STATUSES } = require('./lifecycle');
+const { SORTS, applyFilters, buildKeysetFilter } = require('./issueQuery');
+const { fetchAllRows } = require('./fetchAll');
+const { annotateSla } = require('./sla');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'geojson'];
+
+// Issues read per round trip; also keeps the issue_logs "in" filter to a sane URL length
+const EXPORT_BATCH_SIZE = 100;
+
+// Head authority export columns, in order. The timeline_* columns come from summarizeTimelines.
+const EXPORT_COLUMNS = [
+  'id',
+  'created_at',
+  'status',
+  'issue_type',
+  'department',
+  'ward_id',
+  'outside_wards',
+  'description',
+  'location_lat',
+  'location_lng',
+  'citizen_id',
+  'support_count',
+  'vote_count',
+  'comment_count',
+  'priority_score',
+  'due_at',
+  'sla_breached',
+  'escalated_at',
+  'resolved_at',
+  'closed_at',
+  'verification_status',
+  'rejection_reason',
+  'classification_status',
+  'review_status',
+  'image_url',
+  'resolved_image_url',
+  'timeline_events',
+  'timeline_status_changes',
+  'timeline_reassignments',
+  'timeline_first_response_at',
+  'timeline_last_action',
+  'timeline_last_action_at'
+];
+
+const CATEGORY_LABELS = Object.fromEntries(CATEGORIES.map((category) => [category.id, category.label]));
+
+/**
+ * Reads every issue matching the listing filters in batches, oldest first, using keyset
+ * pagination so rows changing mid-export are neither skipped nor repeated.
+ * @param {Object} filters - parseListQuery(...).filters
+ * @param {Function} onBatch - async (issues) => boolean|void; returning false stops early
+ *   (e.g. when the client went away)
+ */
+const forEachIssueBatch = async (filters, onBatch) => {
+  const keys = SORTS.oldest;
+  let cursor = null;
+
+  for (;;) {
+    let query = applyFilters(supabaseAdmin.from('issues').select('*'), filters);
+    if (cursor) {
+      query = query.or(buildKeysetFilter(keys, cursor));
+    }
+    for (const { column, ascending } of keys) {
+      query = query.order(column, { ascending });
+    }
+
+    const { data: issues, error } = await query.limit(EXPORT_BATCH_SIZE);
+    if (error) {
+      throw error;
+    }
+
+    if (issues.length > 0 && (await onBatch(issues.map(annotateSla))) === false) return;
+    if (issues.length < EXPORT_BATCH_SIZE) return;
+
+    const last = issues[issues.length - 1];
+    cursor = keys.map(({ column }) => last[column]);
+  }
+};
+
+/**
+ * Condenses the issue_logs history of a batch of issues into a few export columns.
+ * @returns {Promise<Map<string, Object>>} - timeline_* values per issue id
+ */
+const summarizeTimelines = async (issueIds) => {
+  const logs = await fetchAllRows(() => supabaseAdmin
+    .from('issue_logs')
+    .select('issue_id, action, old_status, new_status, created_at')
+    .in('issue_id', issueIds)
+    .order('issue_id', { ascending: true })
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true }));
+
+  const summaries = new Map(issueIds.map((id) => [id, {
+    timeline_events: 0,
+    timeline_status_changes: 0,
+    timeline_reassignments: 0,
+    timeline_first_response_at: null,
+    timeline_last_action: null,
+    timeline_last_action_at: null
+  }]));
+
+  for (const log of logs) {
+    const summary = summaries.get(log.issue_id);
+    summary.timeline_events += 1;
+    if (log.old_status && log.new_status && log.old_status !== log.new_status) {
+      summary.timeline_status_changes += 1;
+      // First time anyone moved the issue on from how it was reported
+      if (!summary.timeline_first_response_at && log.old_status === 'reported') {
+        summary.timeline_first_response_at = log.created_at;
+      }
+    }
+    if (log.action === 'reassign') summary.timeline_reassignments += 1;
+    summary.timeline_last_action = log.action;
+    summary.timeline_last_action_at = log.created_at;
+  }
+
+  return summaries;
+};
+
+const toPoint = (issue) => (
+  issue.location_lat === null || issue.location_lat === undefined || issue.location_lng === null || issue.location_lng === undefined
+    ? null
+    : { type: 'Point', coordinates: [Number(issue.location_lng), Number(issue.location_lat)] }
+);
+
+/**
+ * An issue as a GeoJSON Feature; every other field becomes a property.
+ */
+const toGeoJsonFeature = (issue) => {
+  const { location_lat, location_lng, ...properties } = issue;
+  return { type: 'Feature', id: issue.id, geometry: toPoint(issue), properties };
+};
+
+/**
+ * A public issue as an Open311 GeoReport v2 service request.
+ * @param {Object} issue - Already through toPublicIssue
+ */
+const toOpen311Request = (issue) => ({
+  service_request_id: issue.id,
+  status: OPEN_STATUSES.includes(issue.status) ? 'open' : 'closed',
+  // GeoReport only knows open/closed; the workflow status is kept alongside
+  detailed_status: issue.status,
+  service_code: issue.issue_type,
+  service_name: CATEGORY_LABELS[issue.issue_type] || issue.issue_type,
+  description: issue.description,
+  agency_responsible: issue.department,
+  requested_datetime: issue.created_at,
+  updated_datetime: issue.updated_at || null,
+  expected_datetime: issue.due_at || null,
+  lat: issue.location_lat,
+  long: issue.location_lng,
+  media_url: issue.image_url || null
+});
+
+/**
+ * The categories as an Open311 GeoReport v2 service list.
+ */
+const getOpen311Services = () => CATEGORIES.map((category) => ({
+  service_code: category.id,
+  service_name: category.label,
+  description: category.description,
+  metadata: false,
+  type: 'realtime',
+  keywords: category.keywords.join(','),
+  group: category.department
+}));
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  forEachIssueBatch,
+  summarizeTimelines,
+  toGeoJsonFeature,
+  toOpen311Request,
+  getOpen311Services
+};
@@ -0,0 +1,37 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { publishIssueUpdate } = require('./issueEvents');
+
+/**
+ * Applies changes to an issue and writes its issue_logs entry in one transaction
+ * (see db/migrations/014_issue_update_with_log.sql). Either both happen or neither does,
+ * and any failure is thrown to the caller. Status changes and reassignments are announced
+ * to open event streams (see services/issueEvents.js).
+ * @param {string} issueId
+ * @param {Object} changes - Column values to set; {} only writes the log entry.
+ * @param {Object} log - { action, changedBy, details, resolvedImageUrl, expectedStatus }
+ *   expectedStatus skips the update (returning null) if the issue has moved on since it was read.
+ * @returns {Promise<Object|null>} - The updated issue, or null if it does not exist.
+ */
+const updateIssueWithLog = async (issueId, changes, { action, changedBy = null, details = null, resolvedImageUrl = null, expectedStatus = null }) => {
+  const { data, error } = await supabaseAdmin
+    .rpc('update_issue_with_log', {
+      p_issue_id: issueId,
+      p_changes: changes,
+      p_action: action,
+      p_changed_by: changedBy,
+      p_details: details,
+      p_resolved_image_url: resolvedImageUrl,
+      p_expected_status: expectedStatus
+    })
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (data) {
+    publishIssueUpdate(data, changes, { action, changedBy, details });
+  }
+  return data;
+};
+
+module.exports = { updateIssueWithLog };
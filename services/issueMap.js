@@ -0,0 +1,169 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { haversineDistance, boundingBox, isValidLatitude, isValidLongitude } = require('./geo');
+const { applyFilters } = require('./issueQuery');
+const { fetchAllRows } = require('./fetchAll');
+const { PUBLIC_COORDINATE_STEP, roundCoordinate } = require('./serializers');
+const { badRequest } = require('../middlewares/errors');
+
+const MAX_RADIUS_METERS = 20000;
+const DEFAULT_RADIUS_METERS = 1000;
+const MAX_ZOOM = 20;
+// Grid cells per map tile edge used for clustering
+const CELLS_PER_TILE = 4;
+// Most issues one map request reads: bbox and nearby return every one of them as a marker,
+// clusters only count them, so it may read more
+const MAX_MAP_RESULTS = Number(process.env.MAX_MAP_RESULTS) || 1000;
+const MAX_CLUSTER_ISSUES = Number(process.env.MAX_CLUSTER_ISSUES) || 20000;
+
+// Lightweight projection for map markers
+const MARKER_FIELDS = 'id, location_lat, location_lng, status, issue_type, department, support_count, created_at';
+
+/**
+ * Parses min_lat/min_lng/max_lat/max_lng query parameters.
+ */
+const parseBoundingBox = (query) => {
+  const box = {
+    minLat: Number(query.min_lat),
+    minLng: Number(query.min_lng),
+    maxLat: Number(query.max_lat),
+    maxLng: Number(query.max_lng)
+  };
+
+  if (!isValidLatitude(box.minLat) || !isValidLatitude(box.maxLat)
+    || !isValidLongitude(box.minLng) || !isValidLongitude(box.maxLng)) {
+    throw badRequest('min_lat, min_lng, max_lat and max_lng must be valid coordinates');
+  }
+  if (box.minLat > box.maxLat || box.minLng > box.maxLng) {
+    throw badRequest('Bounding box minimums must not exceed maximums');
+  }
+
+  return box;
+};
+
+/**
+ * Parses lat/lng/radius query parameters. Radius is in meters.
+ */
+const parseRadius = (query) => {
+  const lat = Number(query.lat);
+  const lng = Number(query.lng);
+  const radius = query.radius === undefined ? DEFAULT_RADIUS_METERS : Number(query.radius);
+
+  if (!isValidLatitude(lat) || !isValidLongitude(lng)) {
+    throw badRequest('lat and lng must be valid coordinates');
+  }
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_METERS) {
+    throw badRequest(`radius must be between 0 and ${MAX_RADIUS_METERS} meters`);
+  }
+
+  return { lat, lng, radius };
+};
+
+/**
+ * Issue with its coordinates rounded to the public precision (see services/serializers.js).
+ * Every map query matches on these, never on the exact position: otherwise shrinking a
+ * box or radius until an issue drops out would give its exact location away.
+ */
+const withPublicPosition = (issue) => ({
+  ...issue,
+  location_lat: roundCoordinate(issue.location_lat),
+  location_lng: roundCoordinate(issue.location_lng)
+});
+
+/**
+ * Returns every issue whose rounded position is inside the bounding box and that matches the filters.
+ * Issues come back with rounded coordinates.
+ * @param {Object} [options] - { maxResults } rejects the request (400) when more issues than
+ *   that may be in the box, asking the client to zoom in or cluster instead.
+ */
+const findIssuesInBox = async (box, filters, fields = '*', { maxResults = MAX_MAP_RESULTS } = {}) => {
+  // Anything within half a step of the box may round into it
+  const margin = PUBLIC_COORDINATE_STEP / 2;
+  const candidates = await fetchAllRows(() => (
+    applyFilters(supabaseAdmin.from('issues').select(fields), filters)
+      .gte('location_lat', box.minLat - margin)
+      .lte('location_lat', box.maxLat + margin)
+      .gte('location_lng', box.minLng - margin)
+      .lte('location_lng', box.maxLng + margin)
+      .order('id', { ascending: true })
+  ), { maxRows: maxResults });
+
+  if (candidates.length > maxResults) {
+    throw badRequest(`More than ${maxResults} issues in this area; zoom in or narrow the filters`);
+  }
+
+  return candidates
+    .map(withPublicPosition)
+    .filter((issue) => issue.location_lat >= box.minLat && issue.location_lat <= box.maxLat
+      && issue.location_lng >= box.minLng && issue.location_lng <= box.maxLng);
+};
+
+/**
+ * Returns issues whose rounded position is within radius meters of a point, closest first,
+ * each with distance_m.
+ */
+const findIssuesNearby = async ({ lat, lng, radius }, filters) => {
+  const candidates = await findIssuesInBox(boundingBox(lat, lng, radius), filters);
+
+  return candidates
+    .map((issue) => ({
+      ...issue,
+      distance_m: Math.round(haversineDistance(lat, lng, issue.location_lat, issue.location_lng))
+    }))
+    .filter((issue) => issue.distance_m <= radius)
+    .sort((a, b) => a.distance_m - b.distance_m);
+};
+
+/**
+ * Groups issues inside the bounding box into grid cells sized for the given zoom level,
+ * by their rounded positions. Cells holding a single issue are returned as plain markers.
+ */
+const clusterIssues = async (box, zoom, filters) => {
+  const issues = await findIssuesInBox(box, filters, MARKER_FIELDS, { maxResults: MAX_CLUSTER_ISSUES });
+  const cellSize = 360 / (2 ** zoom * CELLS_PER_TILE);
+  const cells = new Map();
+
+  for (const issue of issues) {
+    const key = `${Math.floor(issue.location_lat / cellSize)}:${Math.floor(issue.location_lng / cellSize)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(issue);
+  }
+
+  const clusters = [];
+  const markers = [];
+
+  for (const members of cells.values()) {
+    if (members.length === 1) {
+      markers.push(members[0]);
+      continue;
+    }
+
+    const statusCounts = {};
+    let latSum = 0;
+    let lngSum = 0;
+    for (const issue of members) {
+      latSum += issue.location_lat;
+      lngSum += issue.location_lng;
+      statusCounts[issue.status] = (statusCounts[issue.status] || 0) + 1;
+    }
+
+    clusters.push({
+      location_lat: roundCoordinate(latSum / members.length),
+      location_lng: roundCoordinate(lngSum / members.length),
+      count: members.length,
+      status_counts: statusCounts
+    });
+  }
+
+  return { zoom, total: issues.length, clusters, markers };
+};
+
+module.exports = {
+  MAX_RADIUS_METERS,
+  MAX_ZOOM,
+  MAX_MAP_RESULTS,
+  parseBoundingBox,
+  parseRadius,
+  findIssuesInBox,
+  findIssuesNearby,
+  clusterIssues
+};
@@ -0,0 +1,221 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { STATUSES } = require('./lifecycle');
+const { annotateSla } = require('./sla');
+const { applyPublicFilter } = require('./publicIssues');
+const { badRequest } = require('../middlewares/errors');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Keyset columns per sort option, most significant first. id is always the tie-breaker.
+const SORTS = {
+  newest: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }],
+  oldest: [{ column: 'created_at', ascending: true }, { column: 'id', ascending: true }],
+  most_supported: [
+    { column: 'support_count', ascending: false },
+    { column: 'created_at', ascending: false },
+    { column: 'id', ascending: false }
+  ],
+  // priority_score = votes + 2 x supporting reports + 10 x SLA escalation level (see db/migrations/012_engagement.sql)
+  priority: [
+    { column: 'priority_score', ascending: false },
+    { column: 'created_at', ascending: false },
+    { column: 'id', ascending: false }
+  ]
+};
+
+const encodeCursor = (row, sort) => {
+  const values = SORTS[sort].map(({ column }) => row[column]);
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(values) || values.length !== SORTS[sort].length) throw new Error();
+    return values;
+  } catch (error) {
+    throw badRequest('Invalid cursor');
+  }
+};
+
+const CLASSIFICATION_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+const REVIEW_STATUSES = ['pending', 'accepted', 'overridden'];
+const RESOLUTION_REVIEW_STATUSES = ['pending', 'accepted'];
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Parses and validates list query parameters shared by the issue listings.
+ * @returns {Object} - Normalized filters, sort, limit and cursor.
+ */
+const parseListQuery = (query) => {
+  const sort = query.sort || 'newest';
+  if (!SORTS[sort]) {
+    throw badRequest(`Invalid sort. Must be one of: ${Object.keys(SORTS).join(', ')}`);
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1) throw badRequest('Invalid limit');
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  const statuses = query.status ? String(query.status).split(',').map((s) => s.trim()) : [];
+  const invalidStatus = statuses.find((s) => !STATUSES.includes(s));
+  if (invalidStatus) {
+    throw badRequest(`Invalid status: ${invalidStatus}`);
+  }
+
+  if (query.classification_status && !CLASSIFICATION_STATUSES.includes(query.classification_status)) {
+    throw badRequest(`Invalid classification_status. Must be one of: ${CLASSIFICATION_STATUSES.join(', ')}`);
+  }
+
+  if (query.review_status && !REVIEW_STATUSES.includes(query.review_status)) {
+    throw badRequest(`Invalid review_status. Must be one of: ${REVIEW_STATUSES.join(', ')}`);
+  }
+
+  if (query.resolution_review_status && !RESOLUTION_REVIEW_STATUSES.includes(query.resolution_review_status)) {
+    throw badRequest(`Invalid resolution_review_status. Must be one of: ${RESOLUTION_REVIEW_STATUSES.join(', ')}`);
+  }
+
+  if (query.from && !isValidDate(query.from)) throw badRequest('Invalid from date');
+  if (query.to && !isValidDate(query.to)) throw badRequest('Invalid to date');
+
+  let isManual;
+  if (query.is_manual !== undefined) {
+    if (!['true', 'false'].includes(query.is_manual)) throw badRequest("is_manual must be 'true' or 'false'");
+    isManual = query.is_manual === 'true';
+  }
+
+  return {
+    sort,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor, sort) : null,
+    filters: {
+      statuses,
+      issueType: query.issue_type,
+      department: query.department,
+      wardId: query.ward_id?.trim().toLowerCase(),
+      classificationStatus: query.classification_status,
+      reviewStatus: query.review_status,
+      resolutionReviewStatus: query.resolution_review_status,
+      from: query.from,
+      to: query.to,
+      isManual,
+      search: query.q ? String(query.q).trim() : undefined
+    }
+  };
+};
+
+/**
+ * parseListQuery for the public listings (transparency wall, map, open-data feed):
+ * filters on internal processing state (AI classification, review queues) are dropped,
+ * and only publicly visible issues are listed (see services/publicIssues.js).
+ */
+const parsePublicListQuery = (query) => {
+  const options = parseListQuery(query);
+  delete options.filters.classificationStatus;
+  delete options.filters.reviewStatus;
+  delete options.filters.resolutionReviewStatus;
+  options.filters.publicOnly = true;
+  return options;
+};
+
+/**
+ * Applies the parsed filters to a Supabase query on the issues table.
+ */
+const applyFilters = (query, filters) => {
+  let q = query.is('merged_into', null);
+  // Soft-deleted issues only show up in the trash listing
+  q = filters.deleted ? q.not('deleted_at', 'is', null) : q.is('deleted_at', null);
+  if (filters.publicOnly) q = applyPublicFilter(q);
+
+  if (filters.statuses.length > 0) q = q.in('status', filters.statuses);
+  if (filters.issueType) q = q.eq('issue_type', filters.issueType);
+  if (filters.department) q = q.eq('department', filters.department);
+  if (filters.wardId === 'none') q = q.is('ward_id', null);
+  else if (filters.wardId) q = q.eq('ward_id', filters.wardId);
+  if (filters.classificationStatus) q = q.eq('classification_status', filters.classificationStatus);
+  if (filters.reviewStatus) q = q.eq('review_status', filters.reviewStatus);
+  if (filters.resolutionReviewStatus) q = q.eq('resolution_review_status', filters.resolutionReviewStatus);
+  if (filters.from) q = q.gte('created_at', new Date(filters.from).toISOString());
+  if (filters.to) q = q.lte('created_at', new Date(filters.to).toISOString());
+  if (filters.isManual !== undefined) q = q.eq('ai_analysis->>is_manual', String(filters.isManual));
+  if (filters.search) {
+    const escaped = filters.search.replace(/[\\%_]/g, (c) => `\\${c}`);
+    q = q.ilike('description', `%${escaped}%`);
+  }
+
+  return q;
+};
+
+/**
+ * Builds a PostgREST "or" filter that selects rows strictly after the cursor
+ * in the given keyset order.
+ */
+const buildKeysetFilter = (keys, values) => {
+  const quote = (value) => `"${String(value).replace(/"/g, '\\"')}"`;
+  const branches = keys.map((key, i) => {
+    const equalities = keys.slice(0, i).map((prev, j) => `${prev.column}.eq.${quote(values[j])}`);
+    const comparison = `${key.column}.${key.ascending ? 'gt' : 'lt'}.${quote(values[i])}`;
+    return equalities.length > 0 ? `and(${[...equalities, comparison].join(',')})` : comparison;
+  });
+  return branches.join(',');
+};
+
+/**
+ * Fetches one page of issues.
+ * @param {Object} options - Output of parseListQuery, with filters possibly narrowed by the caller.
+ * @returns {Promise<{ data: Object[], pagination: { total: number, limit: number, next_cursor: string|null } }>}
+ */
+const listIssues = async ({ sort, limit, cursor, filters }) => {
+  const keys = SORTS[sort];
+
+  let pageQuery = applyFilters(supabaseAdmin.from('issues').select('*'), filters);
+  if (cursor) {
+    pageQuery = pageQuery.or(buildKeysetFilter(keys, cursor));
+  }
+  for (const { column, ascending } of keys) {
+    pageQuery = pageQuery.order(column, { ascending });
+  }
+
+  // Fetch one extra row to know whether there is a next page
+  const { data: rows, error } = await pageQuery.limit(limit + 1);
+  if (error) {
+    throw error;
+  }
+
+  const { count, error: countError } = await applyFilters(
+    supabaseAdmin.from('issues').select('id', { count: 'exact', head: true }),
+    filters
+  );
+  if (countError) {
+    throw countError;
+  }
+
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    data: page.map(annotateSla),
+    pagination: {
+      total: count || 0,
+      limit,
+      next_cursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+    }
+  };
+};
+
+module.exports = {
+  SORTS,
+  CLASSIFICATION_STATUSES,
+  REVIEW_STATUSES,
+  RESOLUTION_REVIEW_STATUSES,
+  parseListQuery,
+  parsePublicListQuery,
+  applyFilters,
+  buildKeysetFilter,
+  listIssues
+};
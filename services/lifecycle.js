@@ -0,0 +1,83 @@
+/**
+ * Declarative issue lifecycle.
+ * TRANSITIONS maps each status to the statuses it may move to, and which roles may make that move.
+ */
+
+const AUTHORITIES = ['head_authority', 'department_authority'];
+const HEAD = ['head_authority'];
+// The reporting citizen confirms (closes) or disputes (reopens) a resolution
+const HEAD_OR_REPORTER = ['head_authority', 'citizen'];
+
+const STATUSES = ['reported', 'acknowledged', 'in_progress', 'resolved', 'rejected', 'reopened', 'closed'];
+
+// Status every new issue starts in
+const INITIAL_STATUS = 'reported';
+
+// Statuses in which an issue still needs work
+const OPEN_STATUSES = ['reported', 'acknowledged', 'in_progress', 'reopened'];
+
+const TRANSITIONS = {
+  reported: { acknowledged: AUTHORITIES, in_progress: AUTHORITIES, rejected: HEAD },
+  acknowledged: { in_progress: AUTHORITIES, rejected: HEAD },
+  in_progress: { resolved: AUTHORITIES, rejected: HEAD },
+  resolved: { reopened: HEAD_OR_REPORTER, closed: HEAD_OR_REPORTER },
+  rejected: { reopened: HEAD },
+  reopened: { acknowledged: AUTHORITIES, in_progress: AUTHORITIES, rejected: HEAD },
+  closed: {}
+};
+
+// Fields the request body must carry to enter a status
+const REQUIRED_FIELDS = {
+  resolved: ['resolved_image_ref'],
+  rejected: ['reason']
+};
+
+/**
+ * Statuses the given role may move an issue to from its current status.
+ * @returns {string[]}
+ */
+const getAllowedTransitions = (fromStatus, role) => {
+  const targets = TRANSITIONS[fromStatus] || {};
+  return Object.keys(targets).filter((status) => targets[status].includes(role));
+};
+
+/**
+ * Checks a requested transition against the lifecycle rules.
+ * @returns {{ ok: boolean, status?: number, code?: string, error?: string, allowed?: string[] }}
+ */
+const validateTransition = (fromStatus, toStatus, role, payload = {}) => {
+  if (!STATUSES.includes(toStatus)) {
+    return { ok: false, status: 400, code: 'VALIDATION_FAILED', error: 'Invalid status' };
+  }
+
+  const allowed = getAllowedTransitions(fromStatus, role);
+  if (!allowed.includes(toStatus)) {
+    return {
+      ok: false,
+      status: 409,
+      code: 'INVALID_TRANSITION',
+      error: `Cannot move issue from '${fromStatus}' to '${toStatus}'`,
+      allowed
+    };
+  }
+
+  const missing = (REQUIRED_FIELDS[toStatus] || []).find((field) => {
+    const value = payload[field];
+    return value === undefined || value === null || String(value).trim() === '';
+  });
+  if (missing) {
+    return { ok: false, status: 400, code: 'VALIDATION_FAILED', error: `Missing field: ${missing}` };
+  }
+
+  return { ok: true };
+};
+
+module.exports = {
+  STATUSES,
+  INITIAL_STATUS,
+  OPEN_STATUSES,
+  TRANSITIONS,
+  REQUIRED_FIELDS,
+  getAllowedTransitions,
+  validateTransition
+};
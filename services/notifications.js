@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { supabaseAdmin } = require('../config/supabase');
+const { getFollowerIds } = require('./engagement');
+const { normalizeRole } = require('../middlewares/auth');
+require('dotenv').config();
+
+const MAX_ATTEMPTS = 3;
+const BASE_RETRY_DELAY_MS = 1000;
+
+// Outbound webhooks, e.g. WEBHOOK_URLS=https://city.example/hooks/civiclens
+const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '').split(',').map((url) => url.trim()).filter(Boolean);
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) return null;
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+};
+
+// Any object with a nodemailer-style sendMail() can be plugged in
+let emailTransport = createSmtpTransport();
+
+const setEmailTransport = (transport) => {
+  emailTransport = transport;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs fn up to MAX_ATTEMPTS times with exponential backoff.
+ */
+const withRetry = async (name, fn) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS) {
+        console.error(`Notifications: ${name} failed after ${attempt} attempts:`, error.message);
+        throw error;
+      }
+      await sleep(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+};
+
+/**
+ * Per-user channel preferences. Users without a row get every channel.
+ */
+const getPreferences = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('notification_preferences')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return {
+    user_id: userId,
+    in_app: data ? data.in_app !== false : true,
+    email: data ? data.email !== false : true
+  };
+};
+
+const deliverInApp = (userId, event) => withRetry('in-app', async () => {
+  const { error } = await supabaseAdmin.from('notifications').insert([{
+    user_id: userId,
+    issue_id: event.issue.id,
+    type: event.type,
+    title: event.title,
+    body: event.body,
+    data: event.data || null
+  }]);
+  if (error) throw error;
+});
+
+const deliverEmail = async (userId, event) => {
+  if (!emailTransport) return;
+
+  const { data: { user }, error } = await supabaseAdmin.auth.admin.getUserById(userId);
+  if (error || !user?.email) return;
+
+  await withRetry('email', () => emailTransport.sendMail({
+    from: process.env.SMTP_FROM || 'CivicLens <no-reply@civiclens.app>',
+    to: user.email,
+    subject: event.title,
+    text: event.body
+  }));
+};
+
+const deliverWebhooks = async (event) => {
+  const payload = JSON.stringify({
+    type: event.type,
+    issue_id: event.issue.id,
+    status: event.issue.status,
+    department: event.issue.department,
+    data: event.data || null,
+    occurred_at: new Date().toISOString()
+  });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (WEBHOOK_SECRET) {
+    headers['X-CivicLens-Signature'] = crypto.createHmac('sha256', WEBHOOK_SECRET).update(payload).digest('hex');
+  }
+
+  await Promise.allSettled(WEBHOOK_URLS.map((url) => withRetry(`webhook ${url}`, () => (
+    axios.post(url, payload, { headers, timeout: 5000 })
+  ))));
+};
+
+/**
+ * The reporter and everyone following the issue, except whoever caused the event.
+ * Internal events name their recipients explicitly instead.
+ */
+const getRecipients = async (event) => {
+  if (event.recipientIds) {
+    return [...new Set(event.recipientIds)].filter((userId) => userId && userId !== event.actorId);
+  }
+
+  let followers = [];
+  try {
+    followers = await getFollowerIds(event.issue.id);
+  } catch (error) {
+    console.error('Notifications: Could not load followers:', error.message);
+  }
+  return [...new Set([event.issue.citizen_id, ...followers])]
+    .filter((userId) => userId && userId !== event.actorId);
+};
+
+/**
+ * Fans an issue event out to the enabled channels of the reporter and followers,
+ * and to the outbound webhooks.
+ * Never throws: delivery problems are logged so callers can fire and forget.
+ * @param {Object} event - { type, issue, title, body, data, actorId?, recipientIds? }
+ */
+const dispatch = async (event) => {
+  const recipients = await getRecipients(event);
+
+  const deliveries = recipients.map(async (userId) => {
+    const preferences = await getPreferences(userId);
+    await Promise.allSettled([
+      preferences.in_app ? deliverInApp(userId, event) : null,
+      preferences.email ? deliverEmail(userId, event) : null
+    ]);
+  });
+
+  if (WEBHOOK_URLS.length > 0) {
+    deliveries.push(deliverWebhooks(event));
+  }
+
+  const results = await Promise.allSettled(deliveries);
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => console.error('Notifications: Dispatch error:', result.reason));
+};
+
+const STATUS_LABELS = {
+  reported: 'reported',
+  acknowledged: 'acknowledged',
+  in_progress: 'in progress',
+  resolved: 'resolved',
+  rejected: 'rejected',
+  reopened: 'reopened',
+  closed: 'closed'
+};
+
+/**
+ * Builds and dispatches the notification for a status change.
+ */
+const notifyStatusChange = (issue, oldStatus) => {
+  const isResolution = issue.status === 'resolved';
+  return dispatch({
+    type: isResolution ? 'issue_resolved' : 'status_changed',
+    issue,
+    title: isResolution ? 'An issue you reported or follow was resolved' : 'An issue you reported or follow was updated',
+    body: `The ${issue.issue_type} report is now ${STATUS_LABELS[issue.status] || issue.status}.`
+      + (isResolution ? ' If you reported it, please confirm the fix or dispute it if the problem remains.' : ''),
+    data: { old_status: oldStatus, new_status: issue.status }
+  });
+};
+
+/**
+ * Builds and dispatches the notification for a reassignment.
+ */
+const notifyReassignment = (issue, oldDepartment) => dispatch({
+  type: 'reassigned',
+  issue,
+  title: 'An issue you reported or follow was reassigned',
+  body: `The ${issue.issue_type} report has been routed to the ${issue.department} department.`,
+  data: { old_department: oldDepartment, new_department: issue.department }
+});
+
+/**
+ * Builds and dispatches the notification for a new comment. Official replies are worded as such.
+ */
+const notifyComment = (issue, comment) => dispatch({
+  type: comment.is_official ? 'official_reply' : 'comment_added',
+  issue,
+  actorId: comment.user_id,
+  title: comment.is_official ? 'An authority replied to an issue you follow' : 'New comment on an issue you follow',
+  body: comment.body.length > 200 ? `${comment.body.slice(0, 200)}…` : comment.body,
+  data: { comment_id: comment.id, is_official: comment.is_official }
+});
+
+/**
+ * Authorities of the issue's department (or head authorities if it has none).
+ */
+const getAuthorityIds = async (department) => {
+  // Roles are stored as typed at signup: the query narrows the profiles, normalizeRole decides
+  const query = supabaseAdmin.from('profiles').select('id, role');
+  const { data, error } = await (department
+    ? query.eq('department', department)
+    : query.or('role.ilike.*head*,role.ilike.*admin*'));
+
+  if (error) {
+    throw error;
+  }
+  const roles = department ? ['head_authority', 'department_authority'] : ['head_authority'];
+  return data
+    .filter((profile) => roles.includes(normalizeRole(profile.role)))
+    .map((profile) => profile.id);
+};
+
+/**
+ * Tells the department that every work order on an issue is done, so it can be marked resolved.
+ */
+const notifyWorkOrdersCompleted = async (issue, actorId) => {
+  let recipientIds = [];
+  try {
+    recipientIds = await getAuthorityIds(issue.department);
+  } catch (error) {
+    console.error('Notifications: Could not load authorities:', error.message);
+    return;
+  }
+  return dispatch({
+    type: 'work_orders_completed',
+    issue,
+    actorId,
+    recipientIds,
+    title: 'All work orders on an issue are complete',
+    body: `Every work order on the ${issue.issue_type} report is done. Review the progress photos and mark the issue resolved.`,
+    data: { issue_id: issue.id }
+  });
+};
+
+module.exports = {
+  setEmailTransport,
+  getPreferences,
+  dispatch,
+  notifyStatusChange,
+  notifyReassignment,
+  notifyComment,
+  notifyWorkOrdersCompleted
+};
@@ -0,0 +1,20 @@
+// Which issues anyone may see. Reports are stored before the AI has looked at them, so the
+// public side waits for a completed classification and never shows a report the AI turned
+// down as not a civic issue. Reporters and authorities still see these through their own views.
+
+/**
+ * Whether an issue may appear on the transparency wall, map, open-data feeds and public stream.
+ * @param {Object} issue - Needs classification_status and ai_analysis
+ */
+const isPublicIssue = (issue) => Boolean(issue)
+  && issue.classification_status === 'completed'
+  && !issue.ai_analysis?.error;
+
+/**
+ * The same rule as a filter on a Supabase query on the issues table.
+ */
+const applyPublicFilter = (query) => query
+  .eq('classification_status', 'completed')
+  .is('ai_analysis->>error', null);
+
+module.exports = { isPublicIssue, applyPublicFilter };
@@ -0,0 +1,200 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { compareResolutionImages } = require('./classifiers');
+const { downloadImage } = require('./uploads');
+const { REVIEW_CONFIDENCE_THRESHOLD } = require('./review');
+const { updateIssueWithLog } = require('./issueLog');
+require('dotenv').config();
+
+const MAX_ATTEMPTS = Number(process.env.CLASSIFICATION_MAX_ATTEMPTS) || 4;
+const BASE_RETRY_DELAY_MS = 5000;
+
+// Verdicts that always send a resolution to the head authority
+const SUSPICIOUS_VERDICTS = ['not_fixed', 'different_scene'];
+
+// Resolutions are compared one at a time; job state lives on the issue row
+// (resolution_check_status) so pending checks survive a restart.
+const queue = [];
+const queued = new Set();
+let running = false;
+
+const updateIssue = async (id, fields) => {
+  const { error } = await supabaseAdmin.from('issues').update(fields).eq('id', id);
+  if (error) {
+    throw error;
+  }
+};
+
+/**
+ * Whether a comparison result should be looked at by a head authority.
+ */
+const isSuspicious = (result) => SUSPICIOUS_VERDICTS.includes(result.verdict)
+  || result.verdict === 'uncertain'
+  || result.confidence < REVIEW_CONFIDENCE_THRESHOLD;
+
+/**
+ * Runs one comparison attempt for a resolved issue and records the verdict.
+ */
+const processCheck = async (issueId) => {
+  const { data: issue, error } = await supabaseAdmin
+    .from('issues')
+    .select('*')
+    .eq('id', issueId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  // The issue may have been reopened (or re-resolved with another photo) in the meantime
+  if (!issue || issue.deleted_at || issue.status !== 'resolved' || !['pending', 'processing'].includes(issue.resolution_check_status)) {
+    return;
+  }
+
+  if (!issue.image_path || !issue.resolved_image_path) {
+    await updateIssue(issueId, { resolution_check_status: 'skipped' });
+    return;
+  }
+
+  const attempt = (issue.resolution_check_attempts || 0) + 1;
+  await updateIssue(issueId, { resolution_check_status: 'processing', resolution_check_attempts: attempt });
+
+  try {
+    const [before, after] = await Promise.all([
+      downloadImage(issue.image_path, issue.image_mime_type),
+      downloadImage(issue.resolved_image_path, issue.resolved_image_mime_type)
+    ]);
+    const result = await compareResolutionImages(before, after, {
+      issueType: issue.issue_type,
+      description: issue.description
+    });
+
+    if (!result) {
+      await updateIssue(issueId, { resolution_check_status: 'skipped' });
+      return;
+    }
+
+    const flagged = isSuspicious(result);
+    // Dropped if the issue was reopened while the comparison ran
+    const updated = await updateIssueWithLog(issueId, {
+      resolution_check_status: 'completed',
+      resolution_verdict: result.verdict,
+      resolution_confidence: result.confidence,
+      resolution_analysis: result,
+      resolution_review_status: flagged ? 'pending' : null
+    }, {
+      action: flagged ? 'resolution_flagged' : 'resolution_check',
+      details: { verdict: result.verdict, confidence: result.confidence, provider: result.provider },
+      expectedStatus: 'resolved'
+    });
+    if (!updated) {
+      console.log(`Resolution check: Issue ${issueId} is no longer resolved, verdict dropped`);
+    }
+  } catch (checkError) {
+    if (attempt < MAX_ATTEMPTS) {
+      const delay = BASE_RETRY_DELAY_MS * 2 ** (attempt - 1);
+      console.warn(`Resolution check: Attempt ${attempt} for issue ${issueId} failed, retrying in ${delay}ms`);
+      await updateIssue(issueId, { resolution_check_status: 'pending' });
+      enqueueResolutionCheck(issueId, delay);
+      return;
+    }
+
+    // Unverifiable resolutions are not trusted blindly
+    console.error(`Resolution check: Issue ${issueId} failed after ${attempt} attempts:`, checkError);
+    await updateIssueWithLog(issueId, { resolution_check_status: 'failed', resolution_review_status: 'pending' }, {
+      action: 'resolution_check_failed',
+      details: { attempts: attempt, error: checkError.message },
+      expectedStatus: 'resolved'
+    });
+  }
+};
+
+const drain = async () => {
+  if (running) return;
+  running = true;
+  while (queue.length > 0) {
+    const issueId = queue.shift();
+    queued.delete(issueId);
+    await processCheck(issueId)
+      .catch((error) => console.error(`Resolution check: Job for issue ${issueId} crashed:`, error));
+  }
+  running = false;
+};
+
+/**
+ * Queues a resolved issue for before/after comparison, optionally after a delay (used for retry backoff).
+ */
+const enqueueResolutionCheck = (issueId, delayMs = 0) => {
+  const add = () => {
+    if (queued.has(issueId)) return;
+    queued.add(issueId);
+    queue.push(issueId);
+    drain();
+  };
+
+  if (delayMs > 0) {
+    setTimeout(add, delayMs).unref();
+  } else {
+    add();
+  }
+};
+
+/**
+ * Re-queues checks left pending or mid-flight by a previous server process.
+ */
+const resumePendingResolutionChecks = async () => {
+  const { data: issues, error } = await supabaseAdmin
+    .from('issues')
+    .select('id')
+    .eq('status', 'resolved')
+    .is('deleted_at', null)
+    .in('resolution_check_status', ['pending', 'processing']);
+
+  if (error) {
+    console.error('Resolution check: Failed to resume pending jobs:', error);
+    return;
+  }
+
+  issues.forEach((issue) => enqueueResolutionCheck(issue.id));
+  if (issues.length > 0) {
+    console.log(`Resolution check: Resumed ${issues.length} pending job(s)`);
+  }
+};
+
+/**
+ * Fields to reset whenever an issue is resolved again or leaves the resolved state.
+ */
+const clearResolutionCheck = () => ({
+  resolution_check_status: null,
+  resolution_check_attempts: 0,
+  resolution_verdict: null,
+  resolution_confidence: null,
+  resolution_analysis: null,
+  resolution_review_status: null
+});
+
+/**
+ * Hides a resolution that is still being checked or is under head authority review
+ * from public views: the issue shows as in progress until the fix is confirmed.
+ */
+const maskUnverifiedResolution = (issue) => {
+  const unverified = issue.resolution_review_status === 'pending'
+    || ['pending', 'processing'].includes(issue.resolution_check_status);
+  if (issue.status !== 'resolved' || !unverified) {
+    return issue;
+  }
+  return {
+    ...issue,
+    status: 'in_progress',
+    resolved_at: null,
+    resolved_image_url: null,
+    resolution_under_review: true
+  };
+};
+
+module.exports = {
+  SUSPICIOUS_VERDICTS,
+  isSuspicious,
+  enqueueResolutionCheck,
+  resumePendingResolutionChecks,
+  clearResolutionCheck,
+  maskUnverifiedResolution
+};
@@ -0,0 +1,85 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { ISSUE_TYPE_TO_DEPARTMENT } = require('../config/categories');
+const { computeDueAt } = require('./sla');
+const { updateIssueWithLog } = require('./issueLog');
+require('dotenv').config();
+
+// Classifications below this confidence go to the head authority review queue
+const REVIEW_CONFIDENCE_THRESHOLD = Number(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0.6;
+
+const REVIEW_ACTIONS = ['accept', 'override'];
+
+/**
+ * Why a classification needs a human look, if at all.
+ * @returns {string[]} - Empty when no review is needed.
+ */
+const getReviewReasons = (issue, aiResult) => {
+  const reasons = [];
+  if (aiResult.confidence < REVIEW_CONFIDENCE_THRESHOLD) {
+    reasons.push('low_confidence');
+  }
+  if (issue.manual_issue_type && issue.manual_issue_type !== aiResult.issue_type) {
+    reasons.push('manual_disagreement');
+  }
+  return reasons;
+};
+
+/**
+ * Applies a head authority's review decision, logs it on the issue and records it for override-rate tracking.
+ * accept keeps the current issue_type; override replaces it (and the department, via config/categories.js).
+ * @returns {Promise<Object>} - The updated issue.
+ */
+const resolveReview = async (issue, { action, issueType }, reviewerId) => {
+  const finalIssueType = action === 'override' ? issueType : issue.issue_type;
+  const now = new Date().toISOString();
+
+  const updateData = {
+    review_status: action === 'override' ? 'overridden' : 'accepted',
+    reviewed_by: reviewerId,
+    reviewed_at: now
+  };
+
+  if (action === 'override' && finalIssueType !== issue.issue_type) {
+    const department = ISSUE_TYPE_TO_DEPARTMENT[finalIssueType];
+    Object.assign(updateData, {
+      issue_type: finalIssueType,
+      assigned_authority: department,
+      department,
+      due_at: computeDueAt(finalIssueType, department, issue.created_at)
+    });
+  }
+
+  const updatedIssue = await updateIssueWithLog(issue.id, updateData, {
+    action: action === 'override' ? 'review_override' : 'review_accept',
+    changedBy: reviewerId,
+    details: {
+      ai_issue_type: issue.ai_analysis?.issue_type || null,
+      old_issue_type: issue.issue_type,
+      new_issue_type: finalIssueType,
+      reasons: issue.review_reasons || []
+    }
+  });
+
+  const { error: reviewError } = await supabaseAdmin.from('classification_reviews').insert([{
+    issue_id: issue.id,
+    ai_issue_type: issue.ai_analysis?.issue_type || null,
+    manual_issue_type: issue.manual_issue_type || null,
+    final_issue_type: finalIssueType,
+    action,
+    reasons: issue.review_reasons || [],
+    reviewed_by: reviewerId
+  }]);
+
+  if (reviewError) {
+    throw reviewError;
+  }
+
+  return updatedIssue;
+};
+
+module.exports = {
+  REVIEW_CONFIDENCE_THRESHOLD,
+  REVIEW_ACTIONS,
+  getReviewReasons,
+  resolveReview
+};
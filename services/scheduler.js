@@ -0,0 +1,43 @@
+const { autoCloseUnverifiedIssues } = require('./verification');
+const { escalateOverdueIssues } = require('./sla');
+const { purgeDeletedIssues } = require('./deletion');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Background jobs run inside the server process
+const jobs = [
+  { name: 'auto-close unverified issues', intervalMs: HOUR, run: autoCloseUnverifiedIssues },
+  { name: 'escalate SLA breaches', intervalMs: 15 * MINUTE, run: escalateOverdueIssues },
+  { name: 'purge deleted issues', intervalMs: 24 * HOUR, run: purgeDeletedIssues }
+];
+
+const runJob = async (job) => {
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Scheduler: Job '${job.name}' failed:`, error);
+  }
+};
+
+/**
+ * Runs every background job once, then on its interval. The first run happens on start
+ * because a host that restarts more often than a job's interval would otherwise never
+ * run it. Timers are unref'd so they never keep the process alive on their own.
+ */
+const startScheduler = () => {
+  for (const job of jobs) {
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref();
+  }
+
+  // One after another, so the start-up runs do not all hit the database at once
+  (async () => {
+    for (const job of jobs) {
+      await runJob(job);
+    }
+  })();
+  console.log(`⏱️  Scheduler started with ${jobs.length} job(s)`);
+};
+
+module.exports = { startScheduler };
@@ -0,0 +1,130 @@
+const { maskUnverifiedResolution } = require('./resolutionCheck');
+const { isPublicIssue } = require('./publicIssues');
+require('dotenv').config();
+
+// Decimal places kept on public coordinates: 3 is roughly 110 m, 4 roughly 11 m
+const PUBLIC_COORDINATE_PRECISION = process.env.PUBLIC_COORDINATE_PRECISION !== undefined
+  ? Number(process.env.PUBLIC_COORDINATE_PRECISION)
+  : 3;
+
+// Size of one rounding step in degrees
+const PUBLIC_COORDINATE_STEP = 10 ** -PUBLIC_COORDINATE_PRECISION;
+
+// Distances are rounded to the same granularity so a caller cannot trilaterate the exact spot
+const PUBLIC_DISTANCE_STEP_M = Math.max(1, Math.round(111320 / 10 ** PUBLIC_COORDINATE_PRECISION));
+
+// Anyone, including unauthenticated callers. Listed explicitly so new columns stay private by default.
+const PUBLIC_FIELDS = [
+  'id',
+  'issue_type',
+  'department',
+  'status',
+  'description',
+  'image_url',
+  'thumbnail_url',
+  'resolved_image_url',
+  'location_lat',
+  'location_lng',
+  'ward_id',
+  'outside_wards',
+  'support_count',
+  'vote_count',
+  'comment_count',
+  'priority_score',
+  'due_at',
+  'sla_breached',
+  'verification_status',
+  'created_at',
+  'updated_at',
+  'resolved_at',
+  'closed_at',
+  // Computed by the API rather than stored
+  'distance_m',
+  'duplicate_of',
+  'resolution_under_review',
+  'comments'
+];
+
+// The citizen who filed the issue additionally sees their own submission and its processing state
+const OWNER_FIELDS = [
+  ...PUBLIC_FIELDS,
+  'citizen_id',
+  'manual_issue_type',
+  'manual_department',
+  'classification_status',
+  'rejection_reason',
+  'verified_at'
+];
+
+const pick = (issue, fields) => Object.fromEntries(
+  fields.filter((field) => issue[field] !== undefined).map((field) => [field, issue[field]])
+);
+
+const roundCoordinate = (value) => (
+  typeof value === 'number' ? Number(value.toFixed(PUBLIC_COORDINATE_PRECISION)) : value
+);
+
+/**
+ * Issue as shown on the transparency wall, map and detail page: no reporter identity,
+ * coarse coordinates, no AI internals, and unverified resolutions shown as in progress.
+ */
+const toPublicIssue = (issue) => {
+  if (!issue) return issue;
+  const view = pick(maskUnverifiedResolution(issue), PUBLIC_FIELDS);
+  view.location_lat = roundCoordinate(view.location_lat);
+  view.location_lng = roundCoordinate(view.location_lng);
+  if (typeof view.distance_m === 'number') {
+    view.distance_m = Math.round(view.distance_m / PUBLIC_DISTANCE_STEP_M) * PUBLIC_DISTANCE_STEP_M;
+  }
+  return view;
+};
+
+/**
+ * Issue as shown to the citizen who reported it: exact location, their own choices,
+ * but none of the internal review or AI data.
+ */
+const toOwnerIssue = (issue) => {
+  if (!issue) return issue;
+  return pick(issue, OWNER_FIELDS);
+};
+
+/**
+ * Issue as shown to authorities: everything.
+ */
+const toAuthorityIssue = (issue) => issue;
+
+const AUTHORITY_ROLES = ['head_authority', 'department_authority'];
+
+/**
+ * Picks the serializer for whoever is asking about this issue.
+ * @param {Object|undefined} user - req.user, if the caller is authenticated
+ */
+const serializeIssueFor = (user, issue) => {
+  if (!issue) return issue;
+  if (user && AUTHORITY_ROLES.includes(user.role)) return toAuthorityIssue(issue);
+  if (user && issue.citizen_id === user.id) return toOwnerIssue(issue);
+  return toPublicIssue(issue);
+};
+
+/**
+ * Whether the caller may see the issue at all: everyone else only gets publicly visible ones
+ * (see services/publicIssues.js).
+ * @param {Object|undefined} user - req.user, if the caller is authenticated
+ */
+const canViewIssue = (user, issue) => Boolean(issue) && (
+  (user && (AUTHORITY_ROLES.includes(user.role) || issue.citizen_id === user.id))
+  || isPublicIssue(issue)
+);
+
+module.exports = {
+  PUBLIC_COORDINATE_PRECISION,
+  PUBLIC_COORDINATE_STEP,
+  roundCoordinate,
+  PUBLIC_FIELDS,
+  OWNER_FIELDS,
+  toPublicIssue,
+  toOwnerIssue,
+  toAuthorityIssue,
+  serializeIssueFor,
+  canViewIssue
+};
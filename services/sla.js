@@ -0,0 +1,102 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { updateIssueWithLog } = require('./issueLog');
+const { DEFAULT_SLA_HOURS, SLA_HOURS_BY_ISSUE_TYPE, SLA_HOURS_BY_DEPARTMENT } = require('../config/sla');
+const { OPEN_STATUSES } = require('./lifecycle');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Where breached issues are escalated to
+const ESCALATION_DEPARTMENT = 'head';
+
+/**
+ * SLA target in hours for an issue, preferring its issue_type over its department.
+ */
+const getSlaHours = (issueType, department) => SLA_HOURS_BY_ISSUE_TYPE[issueType]
+  ?? SLA_HOURS_BY_DEPARTMENT[department]
+  ?? DEFAULT_SLA_HOURS;
+
+/**
+ * Deadline for an issue reported at createdAt.
+ * @returns {string} - ISO timestamp.
+ */
+const computeDueAt = (issueType, department, createdAt = new Date()) => (
+  new Date(new Date(createdAt).getTime() + getSlaHours(issueType, department) * HOUR_MS).toISOString()
+);
+
+/**
+ * SLA columns for an issue being reopened (from resolved or rejected): the clock
+ * restarts now, otherwise the old deadline would get it escalated on the next scheduler run.
+ */
+const reopenedSlaFields = (issue) => ({
+  due_at: computeDueAt(issue.issue_type, issue.department),
+  sla_breached: false
+});
+
+/**
+ * Adds a live sla_breached flag so responses are accurate between scheduler runs.
+ */
+const annotateSla = (issue) => {
+  if (!issue) return issue;
+  const overdue = Boolean(issue.due_at)
+    && OPEN_STATUSES.includes(issue.status)
+    && new Date(issue.due_at).getTime() < Date.now();
+  return { ...issue, sla_breached: Boolean(issue.sla_breached) || overdue };
+};
+
+/**
+ * Flags open issues past their deadline, bumps their priority and moves them to the head queue.
+ * @returns {Promise<number>} - Number of issues escalated.
+ */
+const escalateOverdueIssues = async () => {
+  const now = new Date().toISOString();
+
+  const { data: overdueIssues, error } = await supabaseAdmin
+    .from('issues')
+    .select('id, status, department, priority, due_at')
+    .in('status', OPEN_STATUSES)
+    .eq('sla_breached', false)
+    .is('merged_into', null)
+    .is('deleted_at', null)
+    .lt('due_at', now);
+
+  if (error) {
+    throw error;
+  }
+
+  let escalated = 0;
+  for (const issue of overdueIssues || []) {
+    try {
+      // Skipped if the issue was resolved or moved on since the query above
+      const updated = await updateIssueWithLog(issue.id, {
+        sla_breached: true,
+        escalated_at: now,
+        priority: (issue.priority || 0) + 1,
+        assigned_authority: ESCALATION_DEPARTMENT,
+        department: ESCALATION_DEPARTMENT
+      }, {
+        action: 'sla_escalation',
+        details: { previous_department: issue.department, due_at: issue.due_at },
+        expectedStatus: issue.status
+      });
+      if (updated) {
+        escalated += 1;
+      }
+    } catch (updateError) {
+      console.error(`SLA: Failed to escalate issue ${issue.id}:`, updateError);
+    }
+  }
+
+  if (escalated > 0) {
+    console.log(`SLA: Escalated ${escalated} overdue issue(s)`);
+  }
+  return escalated;
+};
+
+module.exports = {
+  ESCALATION_DEPARTMENT,
+  getSlaHours,
+  computeDueAt,
+  reopenedSlaFields,
+  annotateSla,
+  escalateOverdueIssues
+};
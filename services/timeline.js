@@ -0,0 +1,139 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { PUBLIC_COMMENT_COLUMNS } = require('./engagement');
+const { INITIAL_STATUS } = require('./lifecycle');
+const { maskUnverifiedResolution } = require('./resolutionCheck');
+
+const AUTHORITY_ROLES = ['head_authority', 'department_authority'];
+
+// Log entries about internal review work that only authorities see
+const INTERNAL_ACTIONS = [
+  'ai_classification_failed',
+  'review_accept',
+  'review_override',
+  'resolution_check',
+  'resolution_check_failed',
+  'resolution_flagged',
+  'resolution_review_accept',
+  // Crew scheduling, costs and materials are internal
+  'work_order_created',
+  'work_order_status',
+  'work_orders_completed'
+];
+
+// The only log details shown to the public, e.g. a rejection or dispute reason
+const PUBLIC_DETAIL_KEYS = ['reason', 'comment'];
+
+const actorKind = (actorId, issue) => {
+  if (!actorId) return 'system';
+  return actorId === issue.citizen_id ? 'reporter' : 'authority';
+};
+
+const publicDetails = (details) => {
+  if (!details) return null;
+  const kept = Object.fromEntries(PUBLIC_DETAIL_KEYS.filter((key) => details[key] !== undefined).map((key) => [key, details[key]]));
+  return Object.keys(kept).length > 0 ? kept : null;
+};
+
+/**
+ * While a resolution is unverified the public issue shows as in progress (see
+ * maskUnverifiedResolution), so its public timeline leaves out the resolving entry
+ * and its proof image, and later entries show in_progress instead of resolved.
+ */
+const maskUnverifiedResolutionLogs = (logs) => {
+  let resolvedIndex = -1;
+  logs.forEach((log, index) => {
+    if (log.new_status === 'resolved' && log.old_status !== 'resolved') resolvedIndex = index;
+  });
+  if (resolvedIndex === -1) return logs;
+
+  const unmask = (status) => (status === 'resolved' ? 'in_progress' : status);
+  return [
+    ...logs.slice(0, resolvedIndex),
+    ...logs.slice(resolvedIndex + 1).map((log) => ({
+      ...log,
+      old_status: unmask(log.old_status),
+      new_status: unmask(log.new_status),
+      resolved_image_url: null
+    }))
+  ];
+};
+
+/**
+ * Full history of an issue, oldest first: its creation, every issue_logs entry and every comment.
+ * Authorities see who acted and all internal entries; everyone else sees the actor only as
+ * system, reporter or authority, and none of the internal review entries. Like the public
+ * issue view, the public timeline hides a resolution that is not verified yet.
+ * @param {Object} issue - The issue row (with status and the resolution check/review columns)
+ * @param {Object|undefined} user - req.user, if the caller is authenticated
+ * @returns {Promise<Object[]>}
+ */
+const buildTimeline = async (issue, user) => {
+  const isAuthority = Boolean(user && AUTHORITY_ROLES.includes(user.role));
+
+  const [logsResult, commentsResult] = await Promise.all([
+    supabaseAdmin
+      .from('issue_logs')
+      .select('*')
+      .eq('issue_id', issue.id)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true }),
+    supabaseAdmin
+      .from('issue_comments')
+      .select(isAuthority ? `${PUBLIC_COMMENT_COLUMNS}, user_id` : PUBLIC_COMMENT_COLUMNS)
+      .eq('issue_id', issue.id)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true })
+  ]);
+
+  if (logsResult.error) {
+    throw logsResult.error;
+  }
+  if (commentsResult.error) {
+    throw commentsResult.error;
+  }
+
+  const created = {
+    type: 'created',
+    at: issue.created_at,
+    actor: isAuthority ? { kind: 'reporter', id: issue.citizen_id } : { kind: 'reporter' },
+    new_status: INITIAL_STATUS,
+    image_url: issue.image_url || null
+  };
+
+  // The reporter sees their issue unmasked (toOwnerIssue), everyone else the public view
+  const isMasked = !isAuthority && user?.id !== issue.citizen_id && maskUnverifiedResolution(issue) !== issue;
+  const logs = isMasked ? maskUnverifiedResolutionLogs(logsResult.data) : logsResult.data;
+
+  const logEvents = logs
+    .filter((log) => isAuthority || !INTERNAL_ACTIONS.includes(log.action))
+    .map((log) => ({
+      type: log.action,
+      at: log.created_at,
+      actor: isAuthority
+        ? { kind: actorKind(log.changed_by, issue), id: log.changed_by }
+        : { kind: actorKind(log.changed_by, issue) },
+      old_status: log.old_status,
+      new_status: log.new_status,
+      details: isAuthority ? log.details : publicDetails(log.details),
+      image_url: log.resolved_image_url || log.details?.image_url || null
+    }));
+
+  const commentEvents = commentsResult.data.map((comment) => {
+    const kind = comment.is_official ? 'authority' : 'citizen';
+    return {
+      type: comment.is_official ? 'official_reply' : 'comment',
+      at: comment.created_at,
+      actor: isAuthority
+        ? { kind: comment.user_id === issue.citizen_id ? 'reporter' : kind, id: comment.user_id }
+        : { kind },
+      comment_id: comment.id,
+      body: comment.body
+    };
+  });
+
+  // Logs and comments are each already ordered; a stable sort keeps that order for equal timestamps
+  return [created, ...logEvents, ...commentEvents]
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+};
+
+module.exports = { INTERNAL_ACTIONS, buildTimeline };
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const { supabaseAdmin } = require('../config/supabase');
+require('dotenv').config();
+
+const IMAGES_BUCKET = process.env.ISSUE_IMAGES_BUCKET || 'issue-images';
+const MAX_UPLOAD_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024;
+// How long an image reference stays usable for createIssue/updateStatus
+const IMAGE_REF_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 320;
+
+// Falls back to the service role key so references cannot be forged without a server secret
+const SIGNING_SECRET = process.env.UPLOAD_SIGNING_SECRET || process.env.SUPABASE_SERVICE_ROLE_KEY || '';
+
+if (!SIGNING_SECRET) {
+  console.error('CRITICAL: Missing UPLOAD_SIGNING_SECRET (and SUPABASE_SERVICE_ROLE_KEY). Image uploads are disabled!');
+}
+
+const OUTPUT_FORMATS = {
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg' },
+  png: { extension: 'png', mimeType: 'image/png' },
+  webp: { extension: 'webp', mimeType: 'image/webp' }
+};
+
+const uploadError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Detects the real image type from the file's magic bytes, ignoring the client's claimed mime type.
+ * @returns {'jpeg'|'png'|'webp'|'heic'|null}
+ */
+const detectImageType = (buffer) => {
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('ascii', 4, 8) === 'ftyp'
+    && ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(buffer.toString('ascii', 8, 12))) {
+    return 'heic';
+  }
+  return null;
+};
+
+/**
+ * Re-encodes an uploaded image. Re-encoding drops EXIF (including GPS) and other
+ * metadata, applies the EXIF orientation first and caps the dimensions.
+ * HEIC is converted to JPEG since it is not widely displayable.
+ * @returns {Promise<{ image: Buffer, thumbnail: Buffer, format: string, width: number, height: number }>}
+ */
+const sanitizeImage = async (buffer) => {
+  const type = detectImageType(buffer);
+  if (!type) {
+    throw uploadError(415, 'Unsupported file type. Allowed: JPEG, PNG, WebP, HEIC');
+  }
+
+  let source = buffer;
+  let format = type;
+  if (type === 'heic') {
+    source = Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: 0.9 })
+      .catch(() => { throw uploadError(400, 'Image could not be read'); }));
+    format = 'jpeg';
+  }
+
+  const { data: image, info } = await sharp(source)
+    .rotate()
+    .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+    .toFormat(format)
+    .toBuffer({ resolveWithObject: true })
+    .catch(() => { throw uploadError(400, 'Image could not be read'); });
+
+  const thumbnail = await sharp(image)
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+    .webp()
+    .toBuffer();
+
+  return { image, thumbnail, format, width: info.width, height: info.height };
+};
+
+// An empty key would let anyone compute valid signatures, so nothing is signed or verified without one
+const requireSigningSecret = () => {
+  if (!SIGNING_SECRET) {
+    throw uploadError(500, 'Image uploads are not configured');
+  }
+};
+
+const sign = (payload) => {
+  requireSigningSecret();
+  return crypto.createHmac('sha256', SIGNING_SECRET).update(payload).digest('base64url');
+};
+
+/**
+ * Creates a signed, expiring reference to an uploaded image, bound to the uploader.
+ */
+const createImageRef = ({ path, thumbnailPath, mimeType, userId }) => {
+  const payload = Buffer.from(JSON.stringify({
+    path,
+    thumbnail_path: thumbnailPath,
+    mime_type: mimeType,
+    user_id: userId,
+    exp: Date.now() + IMAGE_REF_TTL_MS
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verifies an image reference produced by createImageRef.
+ * @returns {{ path: string, thumbnail_path: string, mime_type: string, image_url: string, thumbnail_url: string }}
+ */
+const resolveImageRef = (ref, userId) => {
+  if (typeof ref !== 'string' || !ref.includes('.')) {
+    throw uploadError(400, 'Invalid image reference');
+  }
+
+  const [payload, signature] = ref.split('.');
+  const expected = sign(payload);
+  if (!signature || signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw uploadError(400, 'Invalid image reference');
+  }
+
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (data.exp < Date.now()) {
+    throw uploadError(400, 'Image reference has expired, please upload the image again');
+  }
+  if (data.user_id !== userId) {
+    throw uploadError(403, 'Image reference belongs to another user');
+  }
+
+  return {
+    path: data.path,
+    thumbnail_path: data.thumbnail_path,
+    mime_type: data.mime_type,
+    image_url: getPublicUrl(data.path),
+    thumbnail_url: getPublicUrl(data.thumbnail_path)
+  };
+};
+
+// <user>/<id>.<ext> is stored with its thumbnail at <user>/thumbs/<id>.webp
+const thumbnailPathFor = (path) => path.replace(/([^/]+)\.\w+$/, 'thumbs/$1.webp');
+
+const getPublicUrl = (path) => supabaseAdmin.storage.from(IMAGES_BUCKET).getPublicUrl(path).data.publicUrl;
+
+/**
+ * Sanitizes an uploaded file and stores it, with a thumbnail, in the images bucket.
+ * @returns {Promise<Object>} - Storage details and the signed image_ref.
+ */
+const storeUpload = async (buffer, userId) => {
+  // Checked up front so nothing is stored that could never be referenced
+  requireSigningSecret();
+  const { image, thumbnail, format, width, height } = await sanitizeImage(buffer);
+  const { extension, mimeType } = OUTPUT_FORMATS[format];
+  const path = `${userId}/${crypto.randomUUID()}.${extension}`;
+  const thumbnailPath = thumbnailPathFor(path);
+
+  const bucket = supabaseAdmin.storage.from(IMAGES_BUCKET);
+  const { error: imageError } = await bucket.upload(path, image, { contentType: mimeType });
+  if (imageError) {
+    throw imageError;
+  }
+  const { error: thumbError } = await bucket.upload(thumbnailPath, thumbnail, { contentType: 'image/webp' });
+  if (thumbError) {
+    throw thumbError;
+  }
+
+  return {
+    image_ref: createImageRef({ path, thumbnailPath, mimeType, userId }),
+    image_url: getPublicUrl(path),
+    thumbnail_url: getPublicUrl(thumbnailPath),
+    mime_type: mimeType,
+    width,
+    height,
+    expires_at: new Date(Date.now() + IMAGE_REF_TTL_MS).toISOString()
+  };
+};
+
+/**
+ * Reads a stored image back for AI analysis.
+ * @returns {Promise<{ data: Buffer, mimeType: string }>}
+ */
+const downloadImage = async (path, mimeType) => {
+  const { data, error } = await supabaseAdmin.storage.from(IMAGES_BUCKET).download(path);
+  if (error) {
+    throw error;
+  }
+  return { data: Buffer.from(await data.arrayBuffer()), mimeType };
+};
+
+/**
+ * Deletes stored images and their thumbnails. Missing paths are ignored.
+ */
+const removeImages = async (paths) => {
+  const targets = paths.filter(Boolean).flatMap((path) => [path, thumbnailPathFor(path)]);
+  if (targets.length === 0) return;
+
+  const { error } = await supabaseAdmin.storage.from(IMAGES_BUCKET).remove(targets);
+  if (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  IMAGES_BUCKET,
+  MAX_UPLOAD_BYTES,
+  detectImageType,
+  sanitizeImage,
+  createImageRef,
+  resolveImageRef,
+  storeUpload,
+  downloadImage,
+  removeImages
+};
@@ -0,0 +1,56 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { updateIssueWithLog } = require('./issueLog');
+require('dotenv').config();
+
+// Days a citizen has to confirm or dispute a resolution before it closes on its own
+const VERIFICATION_WINDOW_DAYS = Number(process.env.VERIFICATION_WINDOW_DAYS) || 7;
+
+/**
+ * Closes resolved issues whose reporter has not confirmed or disputed the fix
+ * within the verification window.
+ * @returns {Promise<number>} - Number of issues closed.
+ */
+const autoCloseUnverifiedIssues = async () => {
+  const cutoff = new Date(Date.now() - VERIFICATION_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const now = new Date().toISOString();
+
+  const { data: dueIssues, error } = await supabaseAdmin
+    .from('issues')
+    .select('id')
+    .eq('status', 'resolved')
+    .is('deleted_at', null)
+    .lt('resolved_at', cutoff)
+    // Resolutions flagged by the before/after check wait for a head authority instead
+    .or('resolution_review_status.is.null,resolution_review_status.neq.pending');
+
+  if (error) {
+    throw error;
+  }
+  if (!dueIssues || dueIssues.length === 0) {
+    return 0;
+  }
+
+  let closed = 0;
+  for (const issue of dueIssues) {
+    try {
+      const updated = await updateIssueWithLog(issue.id, {
+        status: 'closed',
+        closed_at: now,
+        verification_status: 'auto_closed'
+      }, {
+        action: 'auto_close',
+        details: { verification_window_days: VERIFICATION_WINDOW_DAYS },
+        // The reporter may have confirmed or disputed the fix since it was selected
+        expectedStatus: 'resolved'
+      });
+      if (updated) closed += 1;
+    } catch (closeError) {
+      console.error(`Auto-close: Failed to close issue ${issue.id}:`, closeError);
+    }
+  }
+
+  console.log(`Auto-closed ${closed} unverified issue(s)`);
+  return closed;
+};
+
+module.exports = { VERIFICATION_WINDOW_DAYS, autoCloseUnverifiedIssues };
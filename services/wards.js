@@ -0,0 +1,97 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { pointInGeometry, validatePolygonGeometry } = require('./geo');
+require('dotenv').config();
+
+// What to do with reports that fall outside every ward: 'flag' (keep, mark outside_wards) or 'reject'
+const WARD_OUTSIDE_POLICY = process.env.WARD_OUTSIDE_POLICY === 'reject' ? 'reject' : 'flag';
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+let cachedWards = null;
+let cachedAt = 0;
+
+/**
+ * Loads all wards, reusing an in-memory copy for a few minutes since
+ * boundaries change rarely and every report needs a lookup.
+ */
+const getWards = async () => {
+  if (cachedWards && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedWards;
+  }
+
+  const { data: wards, error } = await supabaseAdmin
+    .from('wards')
+    .select('*');
+
+  if (error) {
+    throw error;
+  }
+
+  cachedWards = wards || [];
+  cachedAt = Date.now();
+  return cachedWards;
+};
+
+const clearWardCache = () => {
+  cachedWards = null;
+  cachedAt = 0;
+};
+
+/**
+ * Finds the ward containing a point.
+ * @returns {Promise<{ ward: Object|null, configured: boolean }>} - configured is false when no wards exist yet.
+ */
+const findWardForPoint = async (lat, lng) => {
+  const wards = await getWards();
+  const ward = wards.find((w) => pointInGeometry(lat, lng, w.geometry)) || null;
+  return { ward, configured: wards.length > 0 };
+};
+
+/**
+ * Validates a GeoJSON FeatureCollection of ward boundaries and converts it to ward rows.
+ * Each feature needs a Polygon/MultiPolygon geometry and a properties.name.
+ * @returns {{ wards?: Object[], errors?: string[] }}
+ */
+const parseWardFeatureCollection = (body) => {
+  if (!body || body.type !== 'FeatureCollection' || !Array.isArray(body.features) || body.features.length === 0) {
+    return { errors: ['Body must be a non-empty GeoJSON FeatureCollection'] };
+  }
+
+  const errors = [];
+  const wards = [];
+  const names = new Set();
+
+  body.features.forEach((feature, index) => {
+    const name = feature?.properties?.name;
+    if (!name || typeof name !== 'string') {
+      errors.push(`features[${index}]: properties.name is required`);
+      return;
+    }
+    if (names.has(name)) {
+      errors.push(`features[${index}]: duplicate ward name '${name}'`);
+      return;
+    }
+    const geometryError = validatePolygonGeometry(feature.geometry);
+    if (geometryError) {
+      errors.push(`features[${index}]: ${geometryError}`);
+      return;
+    }
+
+    names.add(name);
+    wards.push({
+      name,
+      code: feature.properties.code || null,
+      geometry: feature.geometry
+    });
+  });
+
+  return errors.length > 0 ? { errors } : { wards };
+};
+
+module.exports = {
+  WARD_OUTSIDE_POLICY,
+  getWards,
+  clearWardCache,
+  findWardForPoint,
+  parseWardFeatureCollection
+};
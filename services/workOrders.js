@@ -0,0 +1,222 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { updateIssueWithLog } = require('./issueLog');
+const { normalizeRole } = require('../middlewares/auth');
+const { UUID_PATTERN } = require('../middlewares/validate');
+
+const WORK_ORDER_STATUSES = ['open', 'scheduled', 'in_progress', 'completed', 'cancelled'];
+
+const AUTHORITIES = ['head_authority', 'department_authority'];
+const AUTHORITIES_OR_WORKER = ['head_authority', 'department_authority', 'field_worker'];
+
+// Same shape as the issue lifecycle: each status maps to the statuses it may move to, and who may make the move
+const WORK_ORDER_TRANSITIONS = {
+  open: { scheduled: AUTHORITIES, in_progress: AUTHORITIES_OR_WORKER, cancelled: AUTHORITIES },
+  scheduled: { open: AUTHORITIES, in_progress: AUTHORITIES_OR_WORKER, cancelled: AUTHORITIES },
+  in_progress: { completed: AUTHORITIES_OR_WORKER, cancelled: AUTHORITIES },
+  completed: { in_progress: AUTHORITIES },
+  cancelled: { open: AUTHORITIES }
+};
+
+// Fields an authority may set when creating or editing a work order
+const EDITABLE_FIELDS = ['title', 'assignee_user_id', 'assignee_crew_id', 'scheduled_for', 'estimated_cost', 'materials_notes'];
+
+// What a field worker gets to see of the issue behind their work order: enough to find and fix it
+const WORKER_ISSUE_COLUMNS = 'id, issue_type, department, status, description, image_url, location_lat, location_lng, ward_id';
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_NOTES_LENGTH = 2000;
+
+/**
+ * Validates the editable fields of a work order payload.
+ * @param {Object} body - Request body
+ * @param {boolean} isCreate - Whether a title is required
+ * @returns {{ fields?: Object, errors?: string[] }}
+ */
+const parseWorkOrderFields = (body = {}, isCreate = false) => {
+  const errors = [];
+  const fields = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+
+  if (isCreate && (typeof fields.title !== 'string' || fields.title.trim() === '')) {
+    errors.push('Missing field: title');
+  } else if (fields.title !== undefined) {
+    if (typeof fields.title !== 'string' || fields.title.trim() === '') errors.push('title must be a non-empty string');
+    else if (fields.title.length > MAX_TITLE_LENGTH) errors.push(`title is too long (max ${MAX_TITLE_LENGTH} characters)`);
+    else fields.title = fields.title.trim();
+  }
+
+  for (const field of ['assignee_user_id', 'assignee_crew_id']) {
+    if (fields[field] !== undefined && fields[field] !== null && !UUID_PATTERN.test(String(fields[field]))) {
+      errors.push(`${field} must be a UUID`);
+    }
+  }
+
+  if (fields.scheduled_for !== undefined && fields.scheduled_for !== null) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(fields.scheduled_for)) || Number.isNaN(new Date(fields.scheduled_for).getTime())) {
+      errors.push('scheduled_for must be a date (YYYY-MM-DD)');
+    }
+  }
+
+  if (fields.estimated_cost !== undefined && fields.estimated_cost !== null) {
+    const cost = Number(fields.estimated_cost);
+    if (!Number.isFinite(cost) || cost < 0) errors.push('estimated_cost must be a non-negative number');
+    else fields.estimated_cost = Math.round(cost * 100) / 100;
+  }
+
+  if (fields.materials_notes !== undefined && fields.materials_notes !== null) {
+    if (typeof fields.materials_notes !== 'string') errors.push('materials_notes must be a string');
+    else if (fields.materials_notes.length > MAX_NOTES_LENGTH) errors.push(`materials_notes is too long (max ${MAX_NOTES_LENGTH} characters)`);
+  }
+
+  return errors.length > 0 ? { errors } : { fields };
+};
+
+/**
+ * Checks a requested work order status change.
+ * @returns {{ ok: boolean, status?: number, code?: string, error?: string, allowed?: string[] }}
+ */
+const validateWorkOrderTransition = (fromStatus, toStatus, role) => {
+  if (!WORK_ORDER_STATUSES.includes(toStatus)) {
+    return { ok: false, status: 400, code: 'VALIDATION_FAILED', error: 'Invalid work order status' };
+  }
+
+  const targets = WORK_ORDER_TRANSITIONS[fromStatus] || {};
+  const allowed = Object.keys(targets).filter((status) => targets[status].includes(role));
+  if (!allowed.includes(toStatus)) {
+    return {
+      ok: false,
+      status: 409,
+      code: 'INVALID_TRANSITION',
+      error: `Cannot move work order from '${fromStatus}' to '${toStatus}'`,
+      allowed
+    };
+  }
+  return { ok: true };
+};
+
+/**
+ * Crews the user belongs to.
+ * @returns {Promise<string[]>}
+ */
+const getCrewIdsForUser = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('crew_members')
+    .select('crew_id')
+    .eq('user_id', userId);
+
+  if (error) {
+    throw error;
+  }
+  return data.map((row) => row.crew_id);
+};
+
+/**
+ * Whether a field worker is assigned to the work order, directly or through one of their crews.
+ */
+const isAssignedTo = (workOrder, userId, crewIds) => (
+  workOrder.assignee_user_id === userId
+  || (Boolean(workOrder.assignee_crew_id) && crewIds.includes(workOrder.assignee_crew_id))
+);
+
+// Same reading of the stored role as authentication uses, e.g. 'Field Worker' or 'crew'
+const isFieldWorker = (profile) => normalizeRole(profile.role) === 'field_worker';
+
+/**
+ * Checks a list of user ids in one query.
+ * @returns {Promise<string[]>} - The ids that are not field workers (or do not exist).
+ */
+const findNonFieldWorkers = async (userIds) => {
+  if (userIds.length === 0) return [];
+
+  const { data: profiles, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id, role')
+    .in('id', userIds);
+
+  if (error) {
+    throw error;
+  }
+  const workerIds = new Set(profiles.filter(isFieldWorker).map((profile) => profile.id));
+  return userIds.filter((id) => !workerIds.has(id));
+};
+
+/**
+ * Checks that the assignee user/crew exist, so typos surface as 400s rather than FK errors.
+ * @returns {Promise<string|null>} - An error message, or null if the assignees are valid.
+ */
+const validateAssignees = async (fields) => {
+  if (fields.assignee_user_id) {
+    const { data: profile, error } = await supabaseAdmin
+      .from('profiles')
+      .select('id, role')
+      .eq('id', fields.assignee_user_id)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!profile || !isFieldWorker(profile)) {
+      return 'assignee_user_id is not a field worker';
+    }
+  }
+
+  if (fields.assignee_crew_id) {
+    const { data: crew, error } = await supabaseAdmin
+      .from('crews')
+      .select('id')
+      .eq('id', fields.assignee_crew_id)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (!crew) {
+      return 'Crew not found';
+    }
+  }
+  return null;
+};
+
+/**
+ * Records a work order event in the issue's history without touching the issue itself.
+ */
+const logWorkOrderEvent = (workOrder, action, changedBy, details = {}) => updateIssueWithLog(workOrder.issue_id, {}, {
+  action,
+  changedBy,
+  details: { work_order_id: workOrder.id, title: workOrder.title, ...details }
+});
+
+/**
+ * Whether every work order on the issue is done. Cancelled orders do not count;
+ * an issue without any remaining orders is not considered complete.
+ * @returns {Promise<boolean>}
+ */
+const allWorkOrdersCompleted = async (issueId) => {
+  const { data, error } = await supabaseAdmin
+    .from('work_orders')
+    .select('status')
+    .eq('issue_id', issueId)
+    .neq('status', 'cancelled');
+
+  if (error) {
+    throw error;
+  }
+  return data.length > 0 && data.every((order) => order.status === 'completed');
+};
+
+module.exports = {
+  WORK_ORDER_STATUSES,
+  WORK_ORDER_TRANSITIONS,
+  WORKER_ISSUE_COLUMNS,
+  parseWorkOrderFields,
+  validateWorkOrderTransition,
+  getCrewIdsForUser,
+  isAssignedTo,
+  validateAssignees,
+  findNonFieldWorkers,
+  logWorkOrderEvent,
+  allWorkOrdersCompleted
+};
@@ -0,0 +1,18 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsvLine, toCsv } = require('../services/csv');
+
+describe('CSV output', () => {
+  it('defuses text a spreadsheet would run as a formula', () => {
+    const row = { a: '=HYPERLINK("http://evil")', b: '+cmd|calc', c: '-1+1', d: '@SUM(A1)', e: 'plain' };
+    assert.equal(toCsvLine(row, ['a', 'b', 'c', 'd', 'e']), `"'=HYPERLINK(""http://evil"")",'+cmd|calc,'-1+1,'@SUM(A1),plain`);
+  });
+
+  it('leaves numbers alone', () => {
+    assert.equal(toCsvLine({ n: -3.5 }, ['n']), '-3.5');
+  });
+
+  it('defuses every row of a whole document too', () => {
+    assert.equal(toCsv([{ description: '=1+1' }], ['description']), "description\r\n'=1+1\r\n");
+  });
+});
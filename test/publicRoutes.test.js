@@ -0,0 +1,335 @@
+// Anonymous callers must never see who reported an issue, AI or review internals, or an
+// issue's exact position. Every public route is called against a stubbed database whose
+// rows carry all of those, and the responses are checked for them.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-service-role-key';
+
+const { supabaseAdmin } = require('../config/supabase');
+
+const ISSUE_ID = '11111111-1111-4111-8111-111111111111';
+const CITIZEN_ID = '22222222-2222-4222-8222-222222222222';
+const REVIEWER_ID = '33333333-3333-4333-8333-333333333333';
+
+// Public coordinates keep 3 decimals (services/serializers.js): these round to 12.972, 77.595
+const EXACT_LAT = 12.9716123;
+const EXACT_LNG = 77.5946456;
+
+const ISSUE = {
+  id: ISSUE_ID,
+  citizen_id: CITIZEN_ID,
+  issue_type: 'pothole',
+  manual_issue_type: 'garbage',
+  manual_department: null,
+  department: 'road',
+  assigned_authority: 'road',
+  status: 'in_progress',
+  description: 'Deep pothole near the bus stop',
+  image_url: 'https://example.com/image.jpg',
+  image_path: `${CITIZEN_ID}/image.jpg`,
+  thumbnail_url: 'https://example.com/thumb.webp',
+  location_lat: EXACT_LAT,
+  location_lng: EXACT_LNG,
+  ward_id: null,
+  outside_wards: false,
+  support_count: 2,
+  vote_count: 2,
+  comment_count: 1,
+  priority_score: 3,
+  priority: 1,
+  due_at: '2030-01-01T00:00:00.000Z',
+  sla_breached: false,
+  escalated_at: null,
+  ai_analysis: { issue_type: 'pothole', confidence: 0.42, rationale: 'secret model output', provider: 'gemini' },
+  classification_status: 'completed',
+  classification_attempts: 1,
+  classification_error: null,
+  review_status: 'overridden',
+  review_reasons: ['low_confidence'],
+  reviewed_by: REVIEWER_ID,
+  reviewed_at: '2026-01-02T00:00:00.000Z',
+  rejection_reason: null,
+  verification_status: null,
+  resolution_check_status: null,
+  resolution_review_status: null,
+  resolution_verdict: null,
+  resolution_confidence: null,
+  merged_into: null,
+  deleted_at: null,
+  created_at: '2026-01-01T00:00:00.000Z',
+  updated_at: '2026-01-02T00:00:00.000Z'
+};
+
+const LOGS = [
+  {
+    id: 1,
+    issue_id: ISSUE_ID,
+    action: 'ai_classification',
+    changed_by: null,
+    old_status: 'reported',
+    new_status: 'reported',
+    details: { issue_type: 'pothole', confidence: 0.42, review_reasons: ['low_confidence'] },
+    created_at: '2026-01-01T00:01:00.000Z'
+  },
+  {
+    id: 2,
+    issue_id: ISSUE_ID,
+    action: 'review_override',
+    changed_by: REVIEWER_ID,
+    old_status: 'reported',
+    new_status: 'reported',
+    details: { ai_issue_type: 'pothole', reasons: ['low_confidence'] },
+    created_at: '2026-01-01T00:02:00.000Z'
+  },
+  {
+    id: 3,
+    issue_id: ISSUE_ID,
+    action: 'status_change',
+    changed_by: REVIEWER_ID,
+    old_status: 'reported',
+    new_status: 'in_progress',
+    details: { internal_note: 'crew 7 tomorrow' },
+    created_at: '2026-01-01T00:03:00.000Z'
+  }
+];
+
+const COMMENTS = [
+  {
+    id: 'c1',
+    issue_id: ISSUE_ID,
+    user_id: CITIZEN_ID,
+    body: 'Still there this morning',
+    author_role: 'citizen',
+    is_official: false,
+    deleted_at: null,
+    created_at: '2026-01-01T01:00:00.000Z',
+    updated_at: null
+  }
+];
+
+// Stored before the AI got to it, and one the AI turned down as not a civic issue
+const PENDING_ISSUE = {
+  ...ISSUE,
+  id: '55555555-5555-4555-8555-555555555555',
+  status: 'reported',
+  classification_status: 'pending',
+  ai_analysis: { is_manual: false }
+};
+const AI_REJECTED_ISSUE = {
+  ...ISSUE,
+  id: '66666666-6666-4666-8666-666666666666',
+  status: 'rejected',
+  classification_status: 'completed',
+  ai_analysis: { error: 'Not a civic issue', provider: 'gemini', is_manual: false }
+};
+
+// Folded into ISSUE as a duplicate
+const MERGED_ISSUE = {
+  ...ISSUE,
+  id: '77777777-7777-4777-8777-777777777777',
+  merged_into: ISSUE_ID
+};
+
+const ALL_ISSUES = [ISSUE, PENDING_ISSUE, AI_REJECTED_ISSUE, MERGED_ISSUE];
+const ROWS = { issues: ALL_ISSUES, issue_logs: LOGS, issue_comments: COMMENTS };
+
+/**
+ * Like PostgREST, only returns the columns named in select() (embeds are ignored).
+ */
+const project = (rows, columns) => {
+  if (!columns || columns.trim() === '*') return rows;
+  const names = columns.split(',').map((column) => column.trim()).filter((column) => /^\w+$/.test(column));
+  return rows.map((row) => Object.fromEntries(names.filter((name) => name in row).map((name) => [name, row[name]])));
+};
+
+// Reads a column or a JSON path such as ai_analysis->>error
+const valueAt = (row, column) => column.split('->>').reduce((value, key) => (value == null ? undefined : value[key]), row);
+
+// eq, is and in filters are applied; the rest (ranges, ordering) are accepted and ignored
+const FILTERS = {
+  eq: (row, column, value) => valueAt(row, column) === value,
+  is: (row, column, value) => (valueAt(row, column) ?? null) === value,
+  in: (row, column, values) => values.includes(valueAt(row, column))
+};
+
+/**
+ * Chainable stand-in for a supabase-js query on the rows above.
+ */
+const stubQuery = (table) => {
+  const state = { columns: '*', head: false, single: false, offset: 0, filters: [] };
+  const query = new Proxy({}, {
+    get(target, method) {
+      if (method === 'then') {
+        const matching = (ROWS[table] || []).filter((row) => state.filters.every(([name, column, value]) => FILTERS[name](row, column, value)));
+        const rows = project(matching, state.columns);
+        const result = state.head
+          ? { data: null, count: rows.length, error: null }
+          : { data: state.single ? rows[0] || null : rows.slice(state.offset), error: null };
+        return (resolve) => resolve(result);
+      }
+      return (...args) => {
+        if (method === 'select') {
+          state.columns = args[0] || '*';
+          state.head = Boolean(args[1]?.head);
+        }
+        if (method === 'single' || method === 'maybeSingle') state.single = true;
+        if (method === 'range') state.offset = args[0];
+        if (FILTERS[method]) state.filters.push([method, ...args]);
+        return query;
+      };
+    }
+  });
+  return query;
+};
+
+const PRIVATE_KEYS = [
+  'citizen_id',
+  'user_id',
+  'changed_by',
+  'ai_analysis',
+  'manual_issue_type',
+  'manual_department',
+  'classification_status',
+  'classification_attempts',
+  'classification_error',
+  'review_status',
+  'review_reasons',
+  'reviewed_by',
+  'reviewed_at',
+  'resolution_check_status',
+  'resolution_review_status',
+  'resolution_verdict',
+  'resolution_confidence',
+  'image_path',
+  'assigned_authority',
+  'escalated_at'
+];
+
+const findPrivateKeys = (value, path = '$') => {
+  if (Array.isArray(value)) return value.flatMap((item, index) => findPrivateKeys(item, `${path}[${index}]`));
+  if (!value || typeof value !== 'object') return [];
+  return Object.entries(value).flatMap(([key, child]) => [
+    ...(PRIVATE_KEYS.includes(key) ? [`${path}.${key}`] : []),
+    ...findPrivateKeys(child, `${path}.${key}`)
+  ]);
+};
+
+const assertAnonymized = (text) => {
+  assert.deepEqual(findPrivateKeys(JSON.parse(text)), []);
+  for (const secret of [CITIZEN_ID, REVIEWER_ID, 'secret model output', 'crew 7 tomorrow']) {
+    assert.ok(!text.includes(secret), `response contains ${secret}`);
+  }
+  for (const exact of [String(EXACT_LAT).slice(0, 7), String(EXACT_LNG).slice(0, 7)]) {
+    assert.ok(!text.includes(exact), `response contains an exact coordinate (${exact}...)`);
+  }
+};
+
+describe('public routes as an anonymous caller', () => {
+  const originalFrom = supabaseAdmin.from;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    supabaseAdmin.from = stubQuery;
+    const app = require('../app');
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    supabaseAdmin.from = originalFrom;
+    server.close();
+  });
+
+  const get = async (path) => {
+    const res = await fetch(`${baseUrl}${path}`);
+    const text = await res.text();
+    assert.equal(res.status, 200, `${path} answered ${res.status}: ${text}`);
+    return text;
+  };
+
+  const box = 'min_lat=12.9&min_lng=77.5&max_lat=13.1&max_lng=77.7';
+
+  for (const path of [
+    '/issues/public',
+    `/issues/${ISSUE_ID}`,
+    `/issues/${ISSUE_ID}/timeline`,
+    `/issues/bbox?${box}`,
+    `/issues/nearby?lat=12.97&lng=77.59&radius=2000`,
+    `/issues/clusters?${box}&zoom=10`,
+    '/open-data/issues.geojson',
+    '/open-data/requests.json'
+  ]) {
+    it(`GET ${path} hides the reporter, internals and exact location`, async () => {
+      assertAnonymized(await get(path));
+    });
+  }
+
+  it('still returns the issue, at its rounded position', async () => {
+    const issue = JSON.parse(await get(`/issues/${ISSUE_ID}`));
+    assert.equal(issue.id, ISSUE_ID);
+    assert.equal(issue.location_lat, 12.972);
+    assert.equal(issue.location_lng, 77.595);
+    assert.equal(issue.comments.length, 1);
+  });
+
+  it('clusters issues sharing a cell around a rounded centroid', async () => {
+    const duplicate = { ...ISSUE, id: '44444444-4444-4444-8444-444444444444', location_lat: 12.9712987 };
+    ROWS.issues = [ISSUE, duplicate];
+    try {
+      const { clusters } = JSON.parse(await get(`/issues/clusters?${box}&zoom=10`));
+      assert.equal(clusters.length, 1);
+      assert.equal(clusters[0].count, 2);
+      assert.equal(clusters[0].location_lng, 77.595);
+      assert.equal(String(clusters[0].location_lat).split('.')[1].length <= 3, true);
+    } finally {
+      ROWS.issues = ALL_ISSUES;
+    }
+  });
+
+  for (const path of [
+    '/issues/public',
+    `/issues/bbox?${box}`,
+    `/issues/nearby?lat=12.97&lng=77.59&radius=2000`,
+    '/open-data/issues.geojson',
+    '/open-data/requests.json'
+  ]) {
+    it(`GET ${path} leaves out unclassified and AI-rejected reports`, async () => {
+      const text = await get(path);
+      assert.ok(text.includes(ISSUE_ID));
+      assert.ok(!text.includes(PENDING_ISSUE.id), 'lists a report still waiting for classification');
+      assert.ok(!text.includes(AI_REJECTED_ISSUE.id), 'lists a report the AI rejected');
+    });
+  }
+
+  it('GET /issues/clusters counts only public issues', async () => {
+    const { total } = JSON.parse(await get(`/issues/clusters?${box}&zoom=10`));
+    assert.equal(total, 1);
+  });
+
+  for (const hidden of [PENDING_ISSUE, AI_REJECTED_ISSUE]) {
+    for (const suffix of ['', '/timeline']) {
+      it(`GET /issues/:id${suffix} answers 404 for a ${hidden.classification_status === 'pending' ? 'pending' : 'AI-rejected'} report`, async () => {
+        const res = await fetch(`${baseUrl}/issues/${hidden.id}${suffix}`);
+        assert.equal(res.status, 404);
+      });
+    }
+  }
+
+  it('GET /issues/:id answers 404 for an issue merged into another', async () => {
+    const res = await fetch(`${baseUrl}/issues/${MERGED_ISSUE.id}`);
+    assert.equal(res.status, 404);
+  });
+
+  it('does not stream unclassified or AI-rejected reports to anonymous listeners', async () => {
+    const { isEventVisibleTo } = require('../services/issueEvents');
+    const anonymous = { user: undefined, department: null, types: null };
+    assert.equal(await isEventVisibleTo({ type: 'issue_created', issue: ISSUE }, anonymous), true);
+    assert.equal(await isEventVisibleTo({ type: 'issue_created', issue: PENDING_ISSUE }, anonymous), false);
+    assert.equal(await isEventVisibleTo({ type: 'status_changed', issue: AI_REJECTED_ISSUE }, anonymous), false);
+  });
+});